@@ -0,0 +1,44 @@
+/**
+ * Times createPatchDocument against the reference matcher on 50 MB with
+ * every other megabyte rewritten: half matches, half literal runs.
+ *
+ *   npm run bench
+ *
+ * @license MIT
+ */
+
+import { createChecksumDocument, createPatchDocument } from '../index.js';
+import { referencePatchOperations } from './reference-matcher.js';
+
+const randomBytes = (size, seed) => {
+  const view = new Uint8Array(size);
+  let x = seed;
+  for (let i = 0; i < size; i++) {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    view[i] = x & 0xff;
+  }
+  return view;
+};
+
+const size = 50 * 1024 * 1024;
+const destination = randomBytes(size, 41);
+const source = destination.slice();
+for (let offset = 0; offset < size; offset += 2 * 1024 * 1024) {
+  source.set(randomBytes(1024 * 1024, offset + 1), offset);
+}
+const checksumDoc = createChecksumDocument(4096, destination.buffer);
+
+let start = performance.now();
+createPatchDocument(checksumDoc, source.buffer, { digest: false });
+const optimized = performance.now() - start;
+
+start = performance.now();
+referencePatchOperations(checksumDoc, source.buffer);
+const reference = performance.now() - start;
+
+process.stdout.write(
+  `50 MB patch: ${optimized.toFixed(0)} ms, reference ${reference.toFixed(0)} ms ` +
+  `(${(reference / optimized).toFixed(1)}x)\n`
+);
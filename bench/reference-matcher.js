@@ -0,0 +1,90 @@
+/**
+ * Reference patch matcher, for checking and timing the one in index.js
+ *
+ * @license MIT
+ */
+
+import { blake2s } from '@noble/hashes/blake2.js';
+import { inspectDocument, util } from '../index.js';
+
+const bytesEqual = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+/**
+ * The matcher as it was before the hot-loop rewrite: an object per rolled
+ * byte, an array-of-arrays hash table and one-byte literal appends. Returns
+ * the encoded COPY/LITERAL operations, for comparison with the body of a
+ * patch made with `digest: false`.
+ */
+export const referencePatchOperations = (checksumDoc, source) => {
+  const data = new Uint8Array(source);
+  const { blockSize, numBlocks } = inspectDocument(checksumDoc);
+  const view = new DataView(checksumDoc);
+  const hashTable = [];
+
+  for (let k = 0; k < numBlocks; k++) {
+    const at = 28 + k * 20;
+    const adler = view.getUint32(at, true);
+    const row = util.hash16(adler);
+    if (!hashTable[row]) hashTable[row] = [];
+    hashTable[row].push([k + 1, adler, new Uint8Array(checksumDoc, at + 4, 16)]);
+  }
+
+  const chunks = [];
+  const literal = [];
+  let copyStart = 0;
+  let copyCount = 0;
+  const op = (code, ...words) => {
+    chunks.push(new Uint8Array([code]), new Uint8Array(new Uint32Array(words).buffer));
+  };
+  const flushLiteral = () => {
+    if (literal.length === 0) return;
+    op(2, literal.length);
+    chunks.push(new Uint8Array(literal.splice(0)));
+  };
+  const flushCopy = () => {
+    if (copyCount > 0) op(1, copyStart, copyCount);
+    copyCount = 0;
+  };
+
+  let adlerInfo = null;
+  let i = 0;
+  while (i < data.length) {
+    const size = Math.min(blockSize, data.length - i);
+    adlerInfo = adlerInfo && size === blockSize
+      ? util.rollingChecksum(adlerInfo, i, i + size - 1, data)
+      : util.adler32(i, i + size - 1, data);
+
+    const match = (hashTable[util.hash16(adlerInfo.checksum)] || []).find(([, adler, hash]) =>
+      adler === adlerInfo.checksum &&
+      bytesEqual(blake2s(data.subarray(i, i + size), { dkLen: 16 }), hash)
+    );
+
+    if (match) {
+      flushLiteral();
+      if (copyCount > 0 && match[0] === copyStart + copyCount) {
+        copyCount++;
+      } else {
+        flushCopy();
+        copyStart = match[0];
+        copyCount = 1;
+      }
+      i += blockSize;
+      adlerInfo = null;
+    } else {
+      flushCopy();
+      literal.push(data[i]);
+      if (literal.length === 65536) flushLiteral();
+      i++;
+    }
+  }
+  flushLiteral();
+  flushCopy();
+
+  const out = new Uint8Array(chunks.reduce((n, chunk) => n + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+};
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * bit-sync command-line tool
+ * rdiff-style signature, delta and patch commands for shell scripts and CI
+ *
+ * @license MIT
+ */
+
+import { open, readFile, rm, stat } from 'node:fs/promises';
+import { finished } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
+import {
+  createChecksumDocument,
+  createPatchDocumentStream,
+  applyPatch,
+  applyPatchStream,
+  inspectDocument,
+  optimizeBlockSize,
+  FormatError,
+  IntegrityError
+} from './index.js';
+import { signFile, syncFile } from './node.js';
+
+const USAGE = `Usage: bit-sync <command> [options]
+
+Commands:
+  signature <file> <sig>          Write the checksum document of <file>
+  delta <sig> <newfile> <patch>   Write a patch turning the signed file into <newfile>
+  patch <oldfile> <patch> <out>   Apply <patch> to <oldfile>
+  patch <file> <patch>            Update <file> with <patch>, replacing it once complete
+  inspect <doc>                   Print a document's header and counts as JSON
+
+Patches may be bit-sync patch documents or VCDIFF (RFC 3284) deltas.
+
+Use - for standard input or output, except for <oldfile>, which must be a file.
+
+Options:
+  -b, --block-size <n|auto>       Block size in bytes (signature; default auto)
+      --hash <name>               Strong hash: blake2s, blake3, sha256, xxh128, blake2b or md4
+                                  (signature; default blake2s)
+      --hash-length <n>           Bytes of each strong hash to keep (signature; default 16)
+      --compression <codec>       Compress literal runs: deflate or gzip (delta)
+      --inplace                   Rewrite <file> in place when the patch allows it (patch)
+  -p, --progress                  Report progress on standard error
+  -h, --help                      Show this help
+`;
+
+const ARITY = { signature: [2], delta: [3], patch: [2, 3], inspect: [1] };
+
+class UsageError extends Error {}
+
+const parseBlockSize = (value) => {
+  if (value === 'auto') return value;
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Block size must be a number of bytes or "auto", got "${value}"`);
+  }
+  return Number(value);
+};
+
+const readInput = async (path) => {
+  if (path !== '-') {
+    const buffer = await readFile(path);
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  const buffer = Buffer.concat(chunks);
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+};
+
+/**
+ * An output file (or standard output) as a sink for applyPatchStream. A
+ * file that is aborted is removed, so a failed command leaves nothing behind.
+ */
+const openOutput = async (path) => {
+  const handle = path === '-' ? null : await open(path, 'w');
+  const stream = handle ? handle.createWriteStream() : process.stdout;
+
+  return {
+    write: (chunk) => new Promise((resolve, reject) => {
+      stream.write(chunk, (err) => (err ? reject(err) : resolve()));
+    }),
+    close: async () => {
+      if (!handle) return;
+      stream.end();
+      await finished(stream);
+    },
+    abort: async () => {
+      if (!handle) return;
+      stream.destroy();
+      await rm(path, { force: true });
+    }
+  };
+};
+
+// Whether two paths name the same file, through links or not
+const sameFile = async (a, b) => {
+  try {
+    const [statA, statB] = await Promise.all([stat(a), stat(b)]);
+    return statA.dev === statB.dev && statA.ino === statB.ino;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+};
+
+/**
+ * Progress lines on stderr, one per whole percent
+ */
+const progressReporter = (command, enabled) => {
+  if (!enabled) return undefined;
+  let last = -1;
+  return ({ percent, bytesProcessed }) => {
+    if (percent === undefined) {
+      process.stderr.write(`${command}: ${bytesProcessed} bytes\n`);
+      return;
+    }
+    const whole = Math.floor(percent);
+    if (whole > last) {
+      last = whole;
+      process.stderr.write(`${command}: ${whole}%\n`);
+    }
+  };
+};
+
+const commands = {
+  signature: async ([file, sig], options) => {
+    const { blockSize, hash, hashLength, onProgress } = options;
+    let checksumDocument;
+    if (file === '-') {
+      const data = await readInput(file);
+      const size = blockSize === 'auto' ? optimizeBlockSize(data.byteLength) : blockSize;
+      checksumDocument = createChecksumDocument(size, data, { hash, hashLength, onProgress });
+    } else {
+      checksumDocument = await signFile(file, { blockSize, hash, hashLength, onProgress });
+    }
+    const output = await openOutput(sig);
+    await output.write(new Uint8Array(checksumDocument));
+    await output.close();
+  },
+
+  delta: async ([sig, newFile, patch], options) => {
+    const checksumDocument = await readInput(sig);
+    let source = process.stdin;
+    let totalBytes;
+    let handle = null;
+    if (newFile !== '-') {
+      handle = await open(newFile, 'r');
+      totalBytes = (await handle.stat()).size;
+      source = handle.createReadStream();
+    }
+
+    const output = await openOutput(patch);
+    try {
+      for await (const chunk of createPatchDocumentStream(checksumDocument, source, {
+        compression: options.compression,
+        totalBytes,
+        onProgress: options.onProgress
+      })) {
+        await output.write(chunk);
+      }
+      await output.close();
+    } catch (err) {
+      await output.abort();
+      throw err;
+    } finally {
+      await handle?.close();
+    }
+  },
+
+  patch: async ([oldFile, patch, out], options) => {
+    if (oldFile === '-') {
+      throw new UsageError('<oldfile> must be a file: patches read it out of order');
+    }
+    if (options.inplace && out !== undefined) {
+      throw new UsageError('--inplace updates <file> itself and takes no <out>');
+    }
+    const patchDocument = await readInput(patch);
+    // Writing <out> would truncate the old file before it is read: update
+    // it with syncFile instead
+    if (out === undefined || (out !== '-' && await sameFile(oldFile, out))) {
+      await syncFile(oldFile, patchDocument, { inplace: options.inplace, onProgress: options.onProgress });
+      return;
+    }
+
+    // VCDIFF patches can't be streamed: the old file is loaded whole
+    if (inspectDocument(patchDocument).type === 'vcdiff') {
+      const data = applyPatch(patchDocument, await readInput(oldFile), { onProgress: options.onProgress });
+      const output = await openOutput(out);
+      await output.write(new Uint8Array(data));
+      await output.close();
+      return;
+    }
+
+    const base = await open(oldFile, 'r');
+    const output = await openOutput(out);
+    try {
+      await applyPatchStream(patchDocument, base, output, { onProgress: options.onProgress });
+    } catch (err) {
+      await output.abort();
+      throw err;
+    } finally {
+      await base.close();
+    }
+  },
+
+  inspect: async ([doc]) => {
+    const info = inspectDocument(await readInput(doc));
+    process.stdout.write(`${JSON.stringify(info, null, 2)}\n`);
+  }
+};
+
+const main = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'block-size': { type: 'string', short: 'b', default: 'auto' },
+      hash: { type: 'string' },
+      'hash-length': { type: 'string' },
+      compression: { type: 'string' },
+      inplace: { type: 'boolean', default: false },
+      progress: { type: 'boolean', short: 'p', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const [command, ...args] = positionals;
+  if (!Object.hasOwn(commands, command)) {
+    throw new UsageError(command ? `Unknown command "${command}"` : 'No command given');
+  }
+  if (!ARITY[command].includes(args.length)) {
+    throw new UsageError(`${command} takes ${ARITY[command].join(' or ')} file argument${ARITY[command].at(-1) > 1 ? 's' : ''}`);
+  }
+  if (values['hash-length'] !== undefined && !/^\d+$/.test(values['hash-length'])) {
+    throw new UsageError(`Hash length must be a number of bytes, got "${values['hash-length']}"`);
+  }
+
+  await commands[command](args, {
+    blockSize: parseBlockSize(values['block-size']),
+    hash: values.hash,
+    hashLength: values['hash-length'] === undefined ? undefined : Number(values['hash-length']),
+    compression: values.compression,
+    inplace: values.inplace,
+    onProgress: progressReporter(command, values.progress)
+  });
+};
+
+// Exit status: 0 on success, 1 when a command fails, 2 for a usage error
+main(process.argv.slice(2)).catch((err) => {
+  const usage = err instanceof UsageError || err.code?.startsWith?.('ERR_PARSE_ARGS');
+  const code = err instanceof FormatError || err instanceof IntegrityError ? ` (${err.code})` : '';
+  process.stderr.write(`bit-sync: ${err.message}${code}\n`);
+  if (usage) process.stderr.write('Try "bit-sync --help"\n');
+  process.exitCode = usage ? 2 : 1;
+});
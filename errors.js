@@ -0,0 +1,24 @@
+/**
+ * bit-sync-esm error transport
+ * Errors as plain { name, message, code } objects, for worker messages and
+ * sync session frames, and back
+ *
+ * @license MIT
+ */
+
+import { FormatError, IntegrityError } from './index.js';
+
+const ERROR_TYPES = { FormatError, IntegrityError };
+
+/**
+ * Flatten an error into something postMessage or JSON can carry
+ */
+export const serializeError = (error) => ({ name: error.name, message: error.message, code: error.code });
+
+/**
+ * Rebuild a serialized error, keeping typed errors typed
+ */
+export const toError = ({ name, message, code }) => {
+  const ErrorType = Object.hasOwn(ERROR_TYPES, name) ? ERROR_TYPES[name] : null;
+  return ErrorType ? new ErrorType(String(message), code) : new Error(String(message));
+};
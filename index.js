@@ -6,7 +6,12 @@
  * @version 1.0.0
  */
 
-import { blake2s } from '@noble/hashes/blake2.js';
+import { blake2b, blake2s } from '@noble/hashes/blake2.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { blake3 } from '@noble/hashes/blake3.js';
+import { zlibSync, unzlibSync, gzipSync, gunzipSync } from 'fflate';
+import { xxh128 } from './xxh3.js';
+import { md4 } from './md4.js';
 
 // Constants
 const HASH_TABLE_SIZE = 65536; // 2^16
@@ -39,6 +44,21 @@ class BufferBuilder {
     this.length += dataArray.length;
   }
 
+  appendUint8(value) {
+    if (this.length + 1 > this.buffer.length) {
+      const newBuffer = new Uint8Array(this.buffer.length * 2);
+      newBuffer.set(this.buffer.subarray(0, this.length));
+      this.buffer = newBuffer;
+    }
+
+    this.buffer[this.length++] = value;
+  }
+
+  appendUint64(value) {
+    this.appendUint32(value % 0x100000000);
+    this.appendUint32(Math.floor(value / 0x100000000));
+  }
+
   appendUint32(value) {
     const needed = this.length + 4;
     if (needed > this.buffer.length) {
@@ -76,11 +96,14 @@ const adler32 = (offset, end, data) => {
   return { a, b, checksum: ((b << 16) | a) >>> 0 };
 };
 
+// Like %, but never negative
+const mod16 = (num) => ((num % HASH_TABLE_SIZE) + HASH_TABLE_SIZE) % HASH_TABLE_SIZE;
+
 const rollingChecksum = (adlerInfo, offset, end, data) => {
   const firstByte = data[offset - 1];
-  const a = (adlerInfo.a - firstByte + data[end]) % HASH_TABLE_SIZE;
-  const b = (adlerInfo.b - ((end - offset + 1) * firstByte) + a) % HASH_TABLE_SIZE;
-  return { a, b, checksum: (b << 16) | a };
+  const a = mod16(adlerInfo.a - firstByte + data[end]);
+  const b = mod16(adlerInfo.b - ((end - offset + 1) * firstByte) + a);
+  return { a, b, checksum: ((b << 16) | a) >>> 0 };
 };
 
 const readUint32LE = (uint8View, offset) => {
@@ -92,6 +115,475 @@ const readUint32LE = (uint8View, offset) => {
   ) >>> 0;
 };
 
+// Wire format
+const MAGIC = 0x4e595342; // 'BSYN' read as a little-endian uint32
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 24;
+const DOC_CHECKSUM = 1;
+const DOC_PATCH = 2;
+const DOC_CHUNKS = 3;
+const DOC_EXTENSION = 4;
+const DOCUMENT_TYPES = {
+  [DOC_CHECKSUM]: 'checksum',
+  [DOC_PATCH]: 'patch',
+  [DOC_CHUNKS]: 'chunks',
+  [DOC_EXTENSION]: 'extension'
+};
+const HASH_BLAKE2S = 1;
+const HASH_SHA256 = 2;
+const HASH_BLAKE3 = 3;
+const HASH_XXH128 = 4;
+const HASH_MD4 = 5;
+const HASH_BLAKE2B = 6;
+const HASH_ALGORITHMS = { [HASH_BLAKE2S]: 'blake2s', [HASH_SHA256]: 'sha256' };
+// Block hashes, truncated to the document's hash length. xxh128 and md4 are
+// not cryptographic: only use them where nobody crafts colliding blocks.
+// md4 and blake2b (BLAKE2b-256) are the strong sums of rdiff signatures.
+const STRONG_HASHES = {
+  [HASH_BLAKE2S]: { name: 'blake2s', maxLength: 32, hash: (block, length) => blake2s(block, { dkLen: length }) },
+  [HASH_SHA256]: { name: 'sha256', maxLength: 32, hash: (block, length) => sha256(block).subarray(0, length) },
+  [HASH_BLAKE3]: { name: 'blake3', maxLength: 32, hash: (block, length) => blake3(block, { dkLen: length }) },
+  [HASH_XXH128]: { name: 'xxh128', maxLength: 16, hash: (block, length) => xxh128(block).subarray(0, length) },
+  [HASH_MD4]: { name: 'md4', maxLength: 16, hash: (block, length) => md4(block).subarray(0, length) },
+  [HASH_BLAKE2B]: { name: 'blake2b', maxLength: 32, hash: (block, length) => blake2b(block, { dkLen: 32 }).subarray(0, length) }
+};
+const STRONG_HASH_LENGTH = 16;
+const DEFAULT_DIGEST = 'blake2s';
+const COMPRESSION_NONE = 0;
+const COMPRESSION_DEFLATE = 1;
+const COMPRESSION_GZIP = 2;
+const COMPRESSION_CODECS = {
+  [COMPRESSION_NONE]: 'none',
+  [COMPRESSION_DEFLATE]: 'deflate',
+  [COMPRESSION_GZIP]: 'gzip'
+};
+const UNKNOWN_LENGTH = 0xffffffff; // Both length words set: length not known
+const MAX_UINT32 = 0xffffffff;
+
+// Header flags
+const FLAG_MULTI_SOURCE = 0x01; // Source table follows the header; blocks carry a source id
+const FLAG_WIDE = 0x02; // Block counts and indexes are u64: set for files over 4 GiB
+const FLAG_DIGEST = 0x04; // Checksum entries are followed by a whole-file digest
+const KNOWN_FLAGS = FLAG_MULTI_SOURCE | FLAG_WIDE | FLAG_DIGEST;
+
+// Patch operations (format version 1)
+const OP_END = 0;
+const OP_COPY = 1; // u32 first block index (1-based), u32 block count; u64 each if wide
+const OP_LITERAL = 2; // u32 length, then the literal bytes
+const OP_CHECK = 3; // u8 digest algorithm, u8 digest length, u64 output length, digest
+const OP_COPY_SOURCE = 4; // u32 source id, u32 first block index, u32 block count; u64 blocks if wide
+const OP_LITERAL_COMPRESSED = 5; // u32 length, u32 compressed length, then the compressed bytes
+const OP_COPY_RANGE = 6; // u64 byte offset into the base, u32 length (patches against chunk documents)
+const OP_COPY_OUTPUT = 7; // u64 byte offset into the output written so far, u32 length
+const MAX_LITERAL_LENGTH = 65536;
+const MIN_COMPRESSED_LITERAL = 64; // Shorter literal runs are always stored raw
+
+// Content-defined chunking
+const DEFAULT_AVERAGE_CHUNK_SIZE = 8192;
+const MIN_AVERAGE_CHUNK_SIZE = 256;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+// Match extension: piece size and per-piece hash length of extension documents
+const DEFAULT_EXTENSION_GRANULARITY = 32;
+const DEFAULT_EXTENSION_HASH_LENGTH = 4;
+const EXTEND_BACKWARD = 0;
+const EXTEND_FORWARD = 1;
+
+// VCDIFF (RFC 3284) with the default code table
+const VCDIFF_MAGIC = [0xd6, 0xc3, 0xc4, 0x00];
+const VCD_DECOMPRESS = 0x01;
+const VCD_APPHEADER = 0x04; // xdelta3's application header
+const VCD_SOURCE = 0x01;
+const VCD_TARGET = 0x02;
+const VCD_ADLER32 = 0x04; // xdelta3's per-window checksum
+const VCD_ADD = 1;
+const VCD_RUN = 2;
+const VCD_COPY = 3;
+const VCD_NEAR_SIZE = 4;
+const VCD_SAME_SIZE = 3;
+const VCD_MODE_HERE = 1;
+const VCD_MODE_NEAR = 2;
+const VCD_MODE_SAME = VCD_MODE_NEAR + VCD_NEAR_SIZE;
+// Target bytes per window, small enough for every common decoder
+const VCDIFF_WINDOW_SIZE = 4 * 1024 * 1024;
+// Repeated bytes in a literal run worth a RUN instead of an ADD
+const VCDIFF_MIN_RUN = 8;
+// Largest window target applyPatch accepts, as in open-vcdiff; the target
+// is allocated whole, so this bounds what a crafted patch can claim
+const VCDIFF_MAX_TARGET_WINDOW = 64 * 1024 * 1024;
+
+// librsync (rdiff) signatures and deltas; all integers are big-endian
+const RDIFF_DELTA_MAGIC = 0x72730236;
+const RDIFF_SIGNATURE_MAGICS = { 0x72730136: HASH_MD4, 0x72730137: HASH_BLAKE2B };
+const RDIFF_RABIN_KARP_MAGICS = [0x72730146, 0x72730147];
+const RDIFF_SIGNATURE_HEADER_SIZE = 12;
+const RDIFF_OP_END = 0x00;
+const RDIFF_OP_LITERAL_N1 = 0x41; // Through N8 (0x44); 0x01-0x40 carry the length
+const RDIFF_OP_COPY_N1_N1 = 0x45; // Through N8_N8 (0x54): offset width, then length width
+const RDIFF_MAX_SHORT_LITERAL = 0x40;
+const RDIFF_INT_WIDTHS = [1, 2, 4, 8];
+// librsync's rollsum is the weak checksum of every byte plus 31
+const ROLLSUM_CHAR_OFFSET = 31;
+
+/**
+ * Thrown for documents that are malformed, of the wrong type or in a format
+ * this build cannot read. `code` identifies the failure.
+ */
+export class FormatError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'FormatError';
+    this.code = code;
+  }
+}
+
+/**
+ * Thrown when patched output doesn't match what the patch promised: wrong
+ * base data, a strong-hash collision or a damaged patch. `code` identifies
+ * the check that failed.
+ */
+export class IntegrityError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.code = code;
+  }
+}
+
+/**
+ * Encode the 24-byte header shared by checksum and patch documents:
+ *
+ *   0  u32  magic 'BSYN'           8  u8   compression codec
+ *   4  u8   document type          9  u8   flags
+ *   5  u8   format version        10  u16  reserved
+ *   6  u8   strong hash algorithm 12  u64  original file length
+ *   7  u8   strong hash length    20  u32  block size
+ */
+const encodeHeader = ({
+  type,
+  hashAlgorithm = HASH_BLAKE2S,
+  hashLength = STRONG_HASH_LENGTH,
+  compression = COMPRESSION_NONE,
+  flags = 0,
+  fileLength,
+  blockSize
+}) => {
+  const header = new Uint8Array(HEADER_SIZE);
+  const view = new DataView(header.buffer);
+
+  view.setUint32(0, MAGIC, true);
+  view.setUint8(4, type);
+  view.setUint8(5, FORMAT_VERSION);
+  view.setUint8(6, hashAlgorithm);
+  view.setUint8(7, hashLength);
+  view.setUint8(8, compression);
+  view.setUint8(9, flags);
+  writeLength64(view, 12, fileLength);
+  view.setUint32(20, blockSize, true);
+  return header;
+};
+
+/**
+ * 64-bit values are stored as two little-endian words
+ */
+const writeUint64 = (view, offset, value) => {
+  view.setUint32(offset, value % 0x100000000, true);
+  view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+};
+
+/**
+ * Read a 64-bit value as a Number. The value is checked as a BigInt first,
+ * so one past Number.MAX_SAFE_INTEGER raises a FormatError with `code`
+ * instead of turning into a rounded length or index.
+ */
+const readUint64 = (view, offset, code) => {
+  const value = view.getBigUint64(offset, true);
+  if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+    throw new FormatError(`64-bit value ${value} at offset ${offset} is too large`, code);
+  }
+  return Number(value);
+};
+
+/**
+ * File lengths are 64-bit; null (unknown) has every bit set
+ */
+const writeLength64 = (view, offset, length) => {
+  if (length === null) {
+    view.setUint32(offset, UNKNOWN_LENGTH, true);
+    view.setUint32(offset + 4, UNKNOWN_LENGTH, true);
+  } else {
+    writeUint64(view, offset, length);
+  }
+};
+
+const readLength64 = (view, offset) =>
+  view.getBigUint64(offset, true) === 0xFFFFFFFFFFFFFFFFn
+    ? null
+    : readUint64(view, offset, 'OUTPUT_TOO_LARGE');
+
+/**
+ * Documents describing any file over 4 GiB use the wide (64-bit) layout
+ */
+const needsWideLayout = (...lengths) => lengths.some(length => length !== null && length > MAX_UINT32);
+
+/**
+ * Write a block count or index in the layout's width; returns the next offset
+ */
+const writeBlockNumber = (view, offset, value, wide) => {
+  if (wide) {
+    writeUint64(view, offset, value);
+    return offset + 8;
+  }
+  view.setUint32(offset, value, true);
+  return offset + 4;
+};
+
+/**
+ * Source table of multi-source documents: u32 source count, then the u64
+ * file length of every source. Source ids index this table.
+ */
+const encodeSourceTable = (sources) => {
+  const table = new Uint8Array(4 + sources.length * 8);
+  const view = new DataView(table.buffer);
+  view.setUint32(0, sources.length, true);
+  sources.forEach((length, i) => writeLength64(view, 4 + i * 8, length));
+  return table;
+};
+
+const readSourceTable = (document, offset) => {
+  const view = new DataView(document);
+  if (document.byteLength - offset < 4) {
+    throw new FormatError('Document is missing its source table', 'TRUNCATED');
+  }
+
+  const sourceCount = view.getUint32(offset, true);
+  if (sourceCount > (document.byteLength - offset - 4) / 8) {
+    throw new FormatError(`Source count ${sourceCount} does not fit in the document`, 'TRUNCATED');
+  }
+
+  const sources = [];
+  for (let i = 0; i < sourceCount; i++) {
+    sources.push(readLength64(view, offset + 4 + i * 8));
+  }
+
+  return { sources, offset: offset + 4 + sourceCount * 8 };
+};
+
+/**
+ * Read and validate a document header. Returns null for the headerless
+ * 1.0 layout, which starts with the block size instead of the magic.
+ */
+const readHeader = (document) => {
+  if (document.byteLength < 4) {
+    throw new FormatError('Document is too short', 'TRUNCATED');
+  }
+
+  const view = new DataView(document);
+  const first = view.getUint32(0, true);
+
+  if (first !== MAGIC) {
+    if (first < MIN_BLOCK_SIZE || first > MAX_BLOCK_SIZE) {
+      throw new FormatError('Unrecognized document: no bit-sync header', 'UNRECOGNIZED');
+    }
+    return null;
+  }
+
+  if (document.byteLength < HEADER_SIZE) {
+    throw new FormatError('Document is too short for its header', 'TRUNCATED');
+  }
+
+  const version = view.getUint8(5);
+  if (version !== FORMAT_VERSION) {
+    throw new FormatError(
+      `Unsupported format version ${version} (this build reads version ${FORMAT_VERSION})`,
+      'UNSUPPORTED_VERSION'
+    );
+  }
+
+  const type = view.getUint8(4);
+  if (!DOCUMENT_TYPES[type]) {
+    throw new FormatError(`Unknown document type ${type}`, 'UNKNOWN_TYPE');
+  }
+
+  const hashAlgorithm = view.getUint8(6);
+  const hashLength = view.getUint8(7);
+  if (!STRONG_HASHES[hashAlgorithm] || hashLength < 1 || hashLength > STRONG_HASHES[hashAlgorithm].maxLength) {
+    throw new FormatError(
+      `Unsupported strong hash ${hashAlgorithm} with length ${hashLength}`,
+      'UNSUPPORTED_HASH'
+    );
+  }
+
+  const compression = view.getUint8(8);
+  if (!COMPRESSION_CODECS[compression]) {
+    throw new FormatError(`Unsupported compression codec ${compression}`, 'UNSUPPORTED_COMPRESSION');
+  }
+
+  const flags = view.getUint8(9);
+  if (flags & ~KNOWN_FLAGS) {
+    throw new FormatError(`Unsupported document flags 0x${flags.toString(16)}`, 'UNSUPPORTED_FLAGS');
+  }
+
+  const fileLength = readLength64(view, 12);
+
+  const blockSize = view.getUint32(20, true);
+  if (blockSize < MIN_BLOCK_SIZE || blockSize > MAX_BLOCK_SIZE) {
+    throw new FormatError(`Invalid block size ${blockSize}`, 'INVALID_BLOCK_SIZE');
+  }
+
+  return { type, version, hashAlgorithm, hashLength, compression, flags, fileLength, blockSize };
+};
+
+/**
+ * Read the header and check the document type. Legacy documents carry no
+ * type, so they are taken at the caller's word.
+ */
+const expectDocument = (document, type) => {
+  const header = readHeader(document);
+
+  if (header && header.type !== type) {
+    const name = (id) => `${DOCUMENT_TYPES[id] === 'extension' ? 'an' : 'a'} ${DOCUMENT_TYPES[id]} document`;
+    throw new FormatError(`Expected ${name(type)}, got ${name(header.type)}`, 'WRONG_TYPE');
+  }
+
+  return header;
+};
+
+const strongHash = (block, hashLength, algorithm = HASH_BLAKE2S) => STRONG_HASHES[algorithm].hash(block, hashLength);
+
+/**
+ * Resolve the `hash` and `hashLength` options of a document builder
+ */
+const strongHashOptions = ({ hash = 'blake2s', hashLength = STRONG_HASH_LENGTH }) => {
+  const id = Object.keys(STRONG_HASHES).find(key => STRONG_HASHES[key].name === hash);
+  if (!id) {
+    throw new Error(`Unsupported strong hash: ${hash}`);
+  }
+
+  const { maxLength } = STRONG_HASHES[id];
+  if (!Number.isInteger(hashLength) || hashLength < 1 || hashLength > maxLength) {
+    throw new Error(`hashLength must be an integer between 1 and ${maxLength} for ${hash}`);
+  }
+
+  return { hashAlgorithm: Number(id), hashLength };
+};
+
+/**
+ * Incremental whole-file digest by algorithm id
+ */
+const createDigest = (algorithm) => {
+  if (algorithm === HASH_BLAKE2S) return blake2s.create({ dkLen: 32 });
+  if (algorithm === HASH_SHA256) return sha256.create();
+  throw new FormatError(`Unsupported digest algorithm ${algorithm}`, 'UNSUPPORTED_HASH');
+};
+
+const digestAlgorithmId = (name) => {
+  const id = Object.keys(HASH_ALGORITHMS).find(key => HASH_ALGORITHMS[key] === name);
+  if (!id) {
+    throw new Error(`Unsupported digest algorithm: ${name}`);
+  }
+  return Number(id);
+};
+
+/**
+ * Literal run codecs by compression id. `deflate` is the zlib format and
+ * `gzip` RFC 1952, the formats CompressionStream produces; the sync
+ * functions are the pure-JS fallback, and the only option for the sync API.
+ */
+const LITERAL_CODECS = {
+  [COMPRESSION_DEFLATE]: { compress: zlibSync, decompress: unzlibSync },
+  [COMPRESSION_GZIP]: { compress: gzipSync, decompress: gunzipSync }
+};
+
+const hasCompressionStreams = typeof CompressionStream === 'function' &&
+  typeof DecompressionStream === 'function';
+
+const compressionCodecId = (name) => {
+  const id = Object.keys(LITERAL_CODECS).find(key => COMPRESSION_CODECS[key] === name);
+  if (!id) {
+    throw new Error(`Unsupported compression codec: ${name}`);
+  }
+  return Number(id);
+};
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream, giving up
+ * once the output exceeds `limit`
+ */
+const pipeThroughCodec = async (transform, bytes, limit = Infinity) => {
+  const writer = transform.writable.getWriter();
+  const reader = transform.readable.getReader();
+  // Failures surface on the readable side
+  writer.write(bytes).then(() => writer.close()).catch(() => {});
+
+  const output = new BufferBuilder(Math.min(limit, bytes.length * 2) + 1);
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    output.append(value);
+    if (output.length > limit) {
+      await reader.cancel();
+      break;
+    }
+  }
+
+  return output.buffer.subarray(0, output.length);
+};
+
+const compressLiteralAsync = (codec, data) => {
+  if (!hasCompressionStreams) return LITERAL_CODECS[codec].compress(data);
+  return pipeThroughCodec(new CompressionStream(COMPRESSION_CODECS[codec]), data);
+};
+
+const checkLiteralLength = (decoded, length) => {
+  if (decoded.length !== length) {
+    throw new FormatError(
+      `Literal run decompresses to ${decoded.length} bytes, expected ${length}`,
+      'CORRUPT_LITERAL'
+    );
+  }
+  return decoded;
+};
+
+/**
+ * Literal bytes of a patch operation, decompressing if needed. Output is
+ * capped one byte past the declared length, so a compression bomb costs
+ * no more than the run it claims to be.
+ */
+const decodeLiteral = ({ data, length, codec }) => {
+  if (!codec) return data;
+
+  let decoded;
+  try {
+    decoded = LITERAL_CODECS[codec].decompress(data, { out: new Uint8Array(length + 1) });
+  } catch (error) {
+    throw new FormatError(`Literal run does not decompress: ${error.message}`, 'CORRUPT_LITERAL');
+  }
+  return checkLiteralLength(decoded, length);
+};
+
+const decodeLiteralAsync = async (operation) => {
+  const { data, length, codec } = operation;
+  if (!codec || !hasCompressionStreams) return decodeLiteral(operation);
+
+  let decoded;
+  try {
+    decoded = await pipeThroughCodec(new DecompressionStream(COMPRESSION_CODECS[codec]), data, length);
+  } catch (error) {
+    throw new FormatError(`Literal run does not decompress: ${error.message}`, 'CORRUPT_LITERAL');
+  }
+  return checkLiteralLength(decoded, length);
+};
+
+const bytesEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+};
+
 /**
  * Optimize block size based on file size
  */
@@ -134,27 +626,62 @@ const validateBlockSize = (blockSize, dataSize) => {
  * @param {Object} options - Optional configuration
  * @param {Function} options.onProgress - Progress callback
  * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {'blake2s'|'sha256'|false} options.digest - Whole-file digest to
+ *   embed, for syncFromRanges to verify against (default false)
+ * @param {'blake2s'|'blake3'|'sha256'|'xxh128'|'blake2b'|'md4'} options.hash - Strong hash of
+ *   each block; xxh128 is fast but only safe on trusted links (default 'blake2s')
+ * @param {number} options.hashLength - Bytes of each strong hash to keep:
+ *   longer for very large files, shorter for slow links (default 16)
  * @returns {ArrayBuffer} Checksum document
  */
 export const createChecksumDocument = (blockSize = DEFAULT_BLOCK_SIZE, data, options = {}) => {
-  const { onProgress, signal } = options;
-
   if (!(data instanceof ArrayBuffer)) {
     throw new Error('Data must be an ArrayBuffer');
   }
 
-  blockSize = validateBlockSize(blockSize, data.byteLength);
+  return buildChecksumDocument(validateBlockSize(blockSize, data.byteLength), data, options);
+};
+
+/**
+ * Lay out a single-source checksum document. `reuse(i)`, if given, returns
+ * the old [adler32, strongHash] entry of a block known to be unchanged, or
+ * null to checksum it.
+ */
+const buildChecksumDocument = (blockSize, data, options, reuse = null) => {
+  const { onProgress, signal, digest = false } = options;
+  const { hashAlgorithm, hashLength } = strongHashOptions(options);
   const numBlocks = Math.ceil(data.byteLength / blockSize);
-  const docLength = 8 + (numBlocks * 20);
+  const wide = needsWideLayout(data.byteLength);
+  const digestAlgorithm = digest ? digestAlgorithmId(digest) : null;
+  const fileDigest = digest ? createDigest(digestAlgorithm).update(new Uint8Array(data)).digest() : null;
+  const entrySize = 4 + hashLength;
+  const bodyOffset = HEADER_SIZE + (wide ? 8 : 4);
+  const entriesEnd = bodyOffset + (numBlocks * entrySize);
+  const docLength = entriesEnd + (fileDigest ? 2 + fileDigest.length : 0);
 
   const doc = new ArrayBuffer(docLength);
-  const view32 = new Uint32Array(doc);
+  const docView = new DataView(doc);
+  const docBytes = new Uint8Array(doc);
   const dataView = new Uint8Array(data);
 
-  view32[0] = blockSize;
-  view32[1] = numBlocks;
+  docBytes.set(encodeHeader({
+    type: DOC_CHECKSUM,
+    hashAlgorithm,
+    hashLength,
+    flags: (wide ? FLAG_WIDE : 0) | (fileDigest ? FLAG_DIGEST : 0),
+    fileLength: data.byteLength,
+    blockSize
+  }));
+  writeBlockNumber(docView, HEADER_SIZE, numBlocks, wide);
+
+  // Trailer: u8 digest algorithm, u8 digest length, digest
+  if (fileDigest) {
+    docView.setUint8(entriesEnd, digestAlgorithm);
+    docView.setUint8(entriesEnd + 1, fileDigest.length);
+    docBytes.set(fileDigest, entriesEnd + 2);
+  }
 
-  let offset = 2;
+  let offset = bodyOffset;
 
   for (let i = 0; i < numBlocks; i++) {
     if (signal?.aborted) {
@@ -163,19 +690,20 @@ export const createChecksumDocument = (blockSize = DEFAULT_BLOCK_SIZE, data, opt
 
     const start = i * blockSize;
     const chunkLength = Math.min(blockSize, data.byteLength - start);
+    const reused = reuse?.(i);
 
-    // Adler-32
-    view32[offset++] = adler32(start, start + chunkLength - 1, dataView).checksum;
-
-    // MD5
-    const chunk = new Uint8Array(data, start, chunkLength);
-    const hash = blake2s(chunk, { dkLen: 16 });
-    const hashView = new Uint32Array(hash.buffer, hash.byteOffset, 4);
+    if (reused) {
+      docView.setUint32(offset, reused[0], true);
+      docBytes.set(reused[1], offset + 4);
+    } else {
+      // Adler-32
+      docView.setUint32(offset, adler32(start, start + chunkLength - 1, dataView).checksum, true);
 
-    view32[offset++] = hashView[0];
-    view32[offset++] = hashView[1];
-    view32[offset++] = hashView[2];
-    view32[offset++] = hashView[3];
+      // Strong hash
+      const chunk = new Uint8Array(data, start, chunkLength);
+      docBytes.set(strongHash(chunk, hashLength, hashAlgorithm), offset + 4);
+    }
+    offset += entrySize;
 
     if (onProgress && (i % 100 === 0 || i === numBlocks - 1)) {
       onProgress({
@@ -191,383 +719,4112 @@ export const createChecksumDocument = (blockSize = DEFAULT_BLOCK_SIZE, data, opt
 };
 
 /**
- * Parse checksum document into hash table
+ * Read a checksum document (versioned or legacy) into a list of
+ * [adler32, strongHash, blockIndex, sourceId] entries. `sources` lists the
+ * file length of each source for multi-source documents and is null
+ * otherwise, in which case entries have no source id. `check` holds the
+ * embedded whole-file digest, shaped like a patch's CHECK operation.
  */
-const parseChecksumDocument = (checksumDocument) => {
-  const hashTable = [];
-  const view = new Uint32Array(checksumDocument);
-  const numBlocks = view[1];
+const readChecksumDocument = (checksumDocument) => {
+  const header = expectDocument(checksumDocument, DOC_CHECKSUM);
+  const bytes = new Uint8Array(checksumDocument);
+  const entries = [];
+
+  if (!header) {
+    // Headerless 1.0 layout: block size, block count, then 5 words per block
+    if (checksumDocument.byteLength < 8 || checksumDocument.byteLength % 4 !== 0) {
+      throw new FormatError('Checksum document has an invalid length', 'TRUNCATED');
+    }
+
+    const view = new DataView(checksumDocument);
+    const numBlocks = view.getUint32(4, true);
+
+    for (let offset = 8; offset < checksumDocument.byteLength; offset += 20) {
+      entries.push([view.getUint32(offset, true), bytes.subarray(offset + 4, offset + 20), entries.length + 1]);
+    }
+
+    if (numBlocks !== entries.length || (checksumDocument.byteLength - 8) % 20 !== 0) {
+      throw new FormatError(
+        `Checksum document mismatch: expected ${numBlocks} blocks, found ${entries.length}`,
+        'TRUNCATED'
+      );
+    }
+
+    return {
+      header,
+      blockSize: view.getUint32(0, true),
+      numBlocks,
+      fileLength: null,
+      hashAlgorithm: HASH_BLAKE2S,
+      hashLength: STRONG_HASH_LENGTH,
+      sources: null,
+      wide: false,
+      check: null,
+      entries
+    };
+  }
+
+  const { blockSize, fileLength, hashAlgorithm, hashLength } = header;
+  const view = new DataView(checksumDocument);
+  const multiSource = (header.flags & FLAG_MULTI_SOURCE) !== 0;
+  const wide = (header.flags & FLAG_WIDE) !== 0;
+  const { sources, offset: countOffset } = multiSource
+    ? readSourceTable(checksumDocument, HEADER_SIZE)
+    : { sources: null, offset: HEADER_SIZE };
+
+  // Multi-source entries: u32 source id, then the block index
+  const indexSize = wide ? 8 : 4;
+  const entrySize = (multiSource ? 8 + indexSize : 4) + hashLength;
+  const bodyOffset = countOffset + indexSize;
+  let bodyLength = checksumDocument.byteLength - bodyOffset;
+
+  if (bodyLength < 0) {
+    throw new FormatError('Checksum document is missing its block count', 'TRUNCATED');
+  }
+
+  const numBlocks = wide ? readUint64(view, countOffset, 'TRUNCATED') : view.getUint32(countOffset, true);
+  const entriesEnd = bodyOffset + numBlocks * entrySize;
+  let check = null;
 
-  let blockIndex = 1;
+  if (header.flags & FLAG_DIGEST) {
+    if (entriesEnd + 2 > checksumDocument.byteLength) {
+      throw new FormatError('Checksum document ends before its digest', 'TRUNCATED');
+    }
 
-  for (let i = 2; i < view.length; i += 5) {
-    const checksumInfo = [
-      blockIndex,
-      view[i],
-      [view[i + 1], view[i + 2], view[i + 3], view[i + 4]]
-    ];
+    const algorithm = view.getUint8(entriesEnd);
+    const digestLength = view.getUint8(entriesEnd + 1);
+    if (!HASH_ALGORITHMS[algorithm]) {
+      throw new FormatError(`Unsupported digest algorithm ${algorithm}`, 'UNSUPPORTED_HASH');
+    }
 
-    const hash = hash16(checksumInfo[1]);
-    if (!hashTable[hash]) hashTable[hash] = [];
-    hashTable[hash].push(checksumInfo);
-    blockIndex++;
+    check = {
+      algorithm,
+      outputLength: fileLength,
+      digest: bytes.subarray(entriesEnd + 2, entriesEnd + 2 + digestLength)
+    };
+    bodyLength -= 2 + digestLength;
   }
 
-  if (numBlocks !== blockIndex - 1) {
-    throw new Error(
-      `Checksum document mismatch: expected ${numBlocks} blocks, found ${blockIndex - 1}`
+  if (bodyLength !== numBlocks * entrySize) {
+    throw new FormatError(
+      `Checksum document mismatch: expected ${numBlocks} blocks, found ${bodyLength / entrySize}`,
+      'TRUNCATED'
     );
   }
 
-  return hashTable;
+  for (let offset = bodyOffset; offset < entriesEnd; offset += entrySize) {
+    if (!multiSource) {
+      entries.push([view.getUint32(offset, true), bytes.subarray(offset + 4, offset + entrySize), entries.length + 1]);
+      continue;
+    }
+
+    const sourceId = view.getUint32(offset, true);
+    const blockIndex = wide ? readUint64(view, offset + 4, 'BLOCK_OUT_OF_RANGE') : view.getUint32(offset + 4, true);
+
+    if (sourceId >= sources.length) {
+      throw new FormatError(`Block from unknown source ${sourceId}`, 'UNKNOWN_SOURCE');
+    }
+    if (blockIndex === 0 || (sources[sourceId] !== null && blockIndex > Math.ceil(sources[sourceId] / blockSize))) {
+      throw new FormatError(`Block ${blockIndex} is out of range for source ${sourceId}`, 'BLOCK_OUT_OF_RANGE');
+    }
+
+    const adlerOffset = offset + 4 + indexSize;
+    entries.push([view.getUint32(adlerOffset, true), bytes.subarray(adlerOffset + 4, offset + entrySize), blockIndex, sourceId]);
+  }
+
+  return { header, blockSize, numBlocks, fileLength, hashAlgorithm, hashLength, sources, wide, check, entries };
 };
 
+const filterKey = (a, b) => (a ^ (b << 4)) & 0xfffff;
+
 /**
- * Check if block matches any in the hash table
+ * Parse checksum document into a hash table of typed arrays. Entries are
+ * bucketed by the low 16 bits of their Adler-32 with a counting sort, so
+ * each bucket keeps document order; the checksum, block index, source id
+ * and strong hash of entry `e` sit at index `e` of their arrays.
  */
-const checkMatch = (adlerInfo, hashTable, block) => {
-  const hash = hash16(adlerInfo.checksum);
-  if (!hashTable[hash]) return false;
+const parseChecksumDocument = (checksumDocument) => {
+  const checksums = readChecksumDocument(checksumDocument);
+  const { entries, hashLength, sources } = checksums;
+  const count = entries.length;
 
-  const row = hashTable[hash];
+  const adlers = new Uint32Array(count);
+  const blockIndexes = new Float64Array(count);
+  const sourceIds = sources ? new Uint32Array(count) : null;
+  const strongHashes = new Uint8Array(count * hashLength);
+  const bucketStart = new Uint32Array(HASH_TABLE_SIZE + 1);
 
-  for (const [blockIndex, adler32sum, md5sum] of row) {
-    if (adler32sum !== adlerInfo.checksum) continue;
+  entries.forEach(([adler, hash, blockIndex, sourceId], e) => {
+    adlers[e] = adler;
+    blockIndexes[e] = blockIndex;
+    if (sourceIds) sourceIds[e] = sourceId;
+    strongHashes.set(hash, e * hashLength);
+    bucketStart[hash16(adler) + 1]++;
+  });
 
-    const blockHash = blake2s(block, { dkLen: 16 });
-    const blockHashView = new Uint32Array(
-      blockHash.buffer,
-      blockHash.byteOffset,
-      4
-    );
+  for (let row = 0; row < HASH_TABLE_SIZE; row++) {
+    bucketStart[row + 1] += bucketStart[row];
+  }
 
-    if (
-      blockHashView[0] === md5sum[0] &&
-      blockHashView[1] === md5sum[1] &&
-      blockHashView[2] === md5sum[2] &&
-      blockHashView[3] === md5sum[3]
-    ) {
-      return blockIndex;
-    }
+  // A bit per 20-bit checksum key, set for every entry: small enough to
+  // stay in cache, and sparse, so most misses never touch the buckets
+  const filter = new Uint32Array((1 << 20) / 32);
+  const bucketEntries = new Uint32Array(count);
+  const next = bucketStart.slice(0, HASH_TABLE_SIZE);
+  for (let e = 0; e < count; e++) {
+    const key = filterKey(adlers[e] & 0xffff, adlers[e] >>> 16);
+    filter[key >>> 5] |= 1 << (key & 31);
+    bucketEntries[next[hash16(adlers[e])]++] = e;
   }
 
-  return false;
+  return {
+    ...checksums,
+    hashTable: { filter, bucketStart, bucketEntries, adlers, blockIndexes, sourceIds, strongHashes }
+  };
+};
+
+const hashEquals = (strongHashes, offset, hash) => {
+  for (let k = 0; k < hash.length; k++) {
+    if (strongHashes[offset + k] !== hash[k]) return false;
+  }
+  return true;
 };
 
 /**
- * Create patch document with progress and cancellation support
- * 
- * @param {ArrayBuffer} checksumDocument - Checksum document from destination
- * @param {ArrayBuffer} data - Source data
+ * Gear table for content-defined chunking: 256 words from xorshift32 with a
+ * fixed seed. Chunk boundaries depend on it, so it is part of the format.
+ */
+const GEAR = (() => {
+  const table = new Int32Array(256);
+  let x = 0x2f6b3a1d;
+  for (let i = 0; i < 256; i++) {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    table[i] = x;
+  }
+  return table;
+})();
+
+/**
+ * Validate FastCDC chunk sizes and derive the cut masks. Chunking is
+ * normalized: a mask two bits stricter than the average before the average
+ * size and two bits looser after it pulls chunk sizes towards the average.
+ * Masks test the high bits, which depend on the last 32 bytes.
+ */
+const chunkingParams = ({
+  averageSize = DEFAULT_AVERAGE_CHUNK_SIZE,
+  minSize = averageSize / 4,
+  maxSize = averageSize * 8
+} = {}) => {
+  if (
+    !Number.isInteger(averageSize) || averageSize < MIN_AVERAGE_CHUNK_SIZE ||
+    averageSize > MAX_BLOCK_SIZE || (averageSize & (averageSize - 1)) !== 0
+  ) {
+    throw new Error(`averageSize must be a power of two from ${MIN_AVERAGE_CHUNK_SIZE} to ${MAX_BLOCK_SIZE}`);
+  }
+  if (!Number.isInteger(minSize) || minSize < 1 || minSize > averageSize) {
+    throw new Error('minSize must be an integer from 1 to averageSize');
+  }
+  if (!Number.isInteger(maxSize) || maxSize < averageSize || maxSize > MAX_CHUNK_SIZE) {
+    throw new Error(`maxSize must be an integer from averageSize to ${MAX_CHUNK_SIZE}`);
+  }
+
+  const bits = Math.log2(averageSize);
+  return {
+    averageSize,
+    minSize,
+    maxSize,
+    strictMask: -1 << (32 - bits - 2),
+    looseMask: -1 << (32 - bits + 2)
+  };
+};
+
+/**
+ * Length of the chunk starting at `start`, given the `available` bytes
+ * (never more than maxSize). The gear hash skips the first minSize bytes.
+ */
+const cutPoint = (data, start, available, { averageSize, minSize, strictMask, looseMask }) => {
+  if (available <= minSize) return available;
+
+  const normal = Math.min(averageSize, available);
+  let hash = 0;
+  let i = minSize;
+
+  for (; i < normal; i++) {
+    hash = ((hash << 1) + GEAR[data[start + i]]) | 0;
+    if ((hash & strictMask) === 0) return i + 1;
+  }
+  for (; i < available; i++) {
+    hash = ((hash << 1) + GEAR[data[start + i]]) | 0;
+    if ((hash & looseMask) === 0) return i + 1;
+  }
+  return available;
+};
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Create a chunk document: the data cut into content-defined (FastCDC)
+ * chunks, each recorded by length and strong hash. An insertion only
+ * changes the chunks around it, so chunk lists of two versions line up and
+ * chunks can be deduplicated across files. Use it with createPatchDocument
+ * in place of a checksum document.
+ *
+ * @param {ArrayBuffer} data - Data to chunk
  * @param {Object} options - Optional configuration
+ * @param {number} options.averageSize - Target chunk size, a power of two (default 8192)
+ * @param {number} options.minSize - Smallest chunk, except the last (default averageSize / 4)
+ * @param {number} options.maxSize - Largest chunk (default averageSize * 8)
+ * @param {'blake2s'|'blake3'|'sha256'|'xxh128'|'blake2b'|'md4'} options.hash - Strong hash of
+ *   each chunk (default 'blake2s')
+ * @param {number} options.hashLength - Bytes of each strong hash to keep (default 16)
  * @param {Function} options.onProgress - Progress callback
  * @param {AbortSignal} options.signal - Cancellation signal
- * @returns {ArrayBuffer} Patch document
+ * @returns {ArrayBuffer} Chunk document
  */
-export const createPatchDocument = (checksumDocument, data, options = {}) => {
+export const createChunkDocument = (data, options = {}) => {
   const { onProgress, signal } = options;
 
-  if (!(checksumDocument instanceof ArrayBuffer)) {
-    throw new Error('Checksum document must be an ArrayBuffer');
-  }
   if (!(data instanceof ArrayBuffer)) {
     throw new Error('Data must be an ArrayBuffer');
   }
 
-  const checksumView = new Uint32Array(checksumDocument);
-  const blockSize = checksumView[0];
-  const hashTable = parseChecksumDocument(checksumDocument);
+  const params = chunkingParams(options);
+  const { hashAlgorithm, hashLength } = strongHashOptions(options);
   const dataView = new Uint8Array(data);
+  const lengths = [];
 
-  const matchedBlocks = new BufferBuilder(4096);
-  const patches = new BufferBuilder(8192);
-
-  let matchCount = 0;
-  let patchCount = 0;
-  let lastMatchIndex = 0;
-  let currentPatch = new BufferBuilder(blockSize * 2);
-  let adlerInfo = null;
-  let i = 0;
-  let lastProgressUpdate = 0;
-
-  const stats = {
-    bytesProcessed: 0,
-    matchesFound: 0,
-    bytesMatched: 0,
-    bytesSent: 0
-  };
-
-  while (i < dataView.length) {
+  for (let start = 0; start < dataView.length;) {
     if (signal?.aborted) {
       throw new Error('Operation cancelled');
     }
 
-    const chunkSize = Math.min(blockSize, dataView.length - i);
+    const length = cutPoint(dataView, start, Math.min(dataView.length - start, params.maxSize), params);
+    lengths.push(length);
+    start += length;
+  }
 
-    if (adlerInfo && chunkSize === blockSize) {
-      adlerInfo = rollingChecksum(adlerInfo, i, i + chunkSize - 1, dataView);
-    } else {
-      adlerInfo = adler32(i, i + chunkSize - 1, dataView);
-    }
+  const numChunks = lengths.length;
+  const wide = needsWideLayout(data.byteLength);
+  const entrySize = 4 + hashLength;
+  const bodyOffset = HEADER_SIZE + 8 + (wide ? 8 : 4);
 
-    const matchedBlock = checkMatch(
-      adlerInfo,
-      hashTable,
-      dataView.subarray(i, i + chunkSize)
-    );
+  const doc = new ArrayBuffer(bodyOffset + (numChunks * entrySize));
+  const docView = new DataView(doc);
+  const docBytes = new Uint8Array(doc);
 
-    if (matchedBlock) {
-      matchedBlocks.appendUint32(matchedBlock);
-      matchCount++;
-      stats.matchesFound++;
-      stats.bytesMatched += blockSize;
+  // The header's block size is the average chunk size
+  docBytes.set(encodeHeader({
+    type: DOC_CHUNKS,
+    hashAlgorithm,
+    hashLength,
+    flags: wide ? FLAG_WIDE : 0,
+    fileLength: data.byteLength,
+    blockSize: params.averageSize
+  }));
+  docView.setUint32(HEADER_SIZE, params.minSize, true);
+  docView.setUint32(HEADER_SIZE + 4, params.maxSize, true);
+  writeBlockNumber(docView, HEADER_SIZE + 8, numChunks, wide);
 
-      if (currentPatch.length > 0) {
-        patches.appendUint32(lastMatchIndex);
-        patches.appendUint32(currentPatch.length);
-        patches.append(currentPatch.buffer.subarray(0, currentPatch.length));
-        stats.bytesSent += currentPatch.length;
-        currentPatch = new BufferBuilder(blockSize * 2);
-        patchCount++;
-      }
+  let offset = bodyOffset;
+  let start = 0;
 
-      lastMatchIndex = matchedBlock;
-      i += blockSize;
-      adlerInfo = null;
-    } else {
-      currentPatch.append(dataView.subarray(i, i + 1));
-      i++;
+  for (let i = 0; i < numChunks; i++) {
+    if (signal?.aborted) {
+      throw new Error('Operation cancelled');
     }
 
-    stats.bytesProcessed = i;
+    const length = lengths[i];
+    docView.setUint32(offset, length, true);
+    docBytes.set(strongHash(new Uint8Array(data, start, length), hashLength, hashAlgorithm), offset + 4);
+    offset += entrySize;
+    start += length;
 
-    if (onProgress && (i - lastProgressUpdate) > blockSize * 10) {
+    if (onProgress && (i % 100 === 0 || i === numChunks - 1)) {
       onProgress({
-        phase: 'patch',
-        bytesProcessed: i,
-        totalBytes: dataView.length,
-        percent: (i / dataView.length) * 100,
-        matchesFound: matchCount,
-        patchesCreated: patchCount,
-        stats
+        phase: 'checksum',
+        blocksProcessed: i + 1,
+        totalBlocks: numChunks,
+        percent: ((i + 1) / numChunks) * 100
       });
-      lastProgressUpdate = i;
     }
   }
 
-  if (currentPatch.length > 0) {
-    patches.appendUint32(lastMatchIndex);
-    patches.appendUint32(currentPatch.length);
-    patches.append(currentPatch.buffer.subarray(0, currentPatch.length));
-    stats.bytesSent += currentPatch.length;
-    patchCount++;
+  return doc;
+};
+
+/**
+ * Read a chunk document into its chunking parameters and a list of
+ * { offset, length, hash } chunks
+ */
+const readChunkDocument = (chunkDocument) => {
+  const header = expectDocument(chunkDocument, DOC_CHUNKS);
+  if (!header) {
+    throw new FormatError('Expected a chunks document, got a headerless document', 'WRONG_TYPE');
   }
 
-  const doc = new BufferBuilder(12 + matchCount * 4 + patches.length);
-  doc.appendUint32(blockSize);
-  doc.appendUint32(patchCount);
-  doc.appendUint32(matchCount);
-  doc.append(matchedBlocks.buffer.subarray(0, matchedBlocks.length));
-  doc.append(patches.buffer.subarray(0, patches.length));
+  const { blockSize, fileLength, hashAlgorithm, hashLength } = header;
+  const view = new DataView(chunkDocument);
+  const bytes = new Uint8Array(chunkDocument);
+  const wide = (header.flags & FLAG_WIDE) !== 0;
+  const bodyOffset = HEADER_SIZE + 8 + (wide ? 8 : 4);
+  const entrySize = 4 + hashLength;
 
-  if (onProgress) {
-    onProgress({
-      phase: 'patch',
-      bytesProcessed: dataView.length,
-      totalBytes: dataView.length,
-      percent: 100,
-      matchesFound: matchCount,
-      patchesCreated: patchCount,
-      stats
+  if (chunkDocument.byteLength < bodyOffset) {
+    throw new FormatError('Chunk document is missing its chunk count', 'TRUNCATED');
+  }
+
+  let params;
+  try {
+    params = chunkingParams({
+      averageSize: blockSize,
+      minSize: view.getUint32(HEADER_SIZE, true),
+      maxSize: view.getUint32(HEADER_SIZE + 4, true)
     });
+  } catch (err) {
+    throw new FormatError(`Invalid chunk sizes: ${err.message}`, 'INVALID_BLOCK_SIZE');
+  }
+
+  const numChunks = wide ? readUint64(view, HEADER_SIZE + 8, 'TRUNCATED') : view.getUint32(HEADER_SIZE + 8, true);
+  if (chunkDocument.byteLength - bodyOffset !== numChunks * entrySize) {
+    throw new FormatError(
+      `Chunk document declares ${numChunks} chunks but has room for ` +
+      `${(chunkDocument.byteLength - bodyOffset) / entrySize}`,
+      'TRUNCATED'
+    );
+  }
+
+  const chunks = [];
+  let start = 0;
+  for (let offset = bodyOffset; offset < chunkDocument.byteLength; offset += entrySize) {
+    const length = view.getUint32(offset, true);
+    if (length === 0 || length > params.maxSize) {
+      throw new FormatError(`Invalid chunk length ${length}`, 'INVALID_OPERATION');
+    }
+    chunks.push({ offset: start, length, hash: bytes.subarray(offset + 4, offset + entrySize) });
+    start += length;
   }
 
-  return doc.toArrayBuffer();
+  if (fileLength !== null && start !== fileLength) {
+    throw new FormatError(`Chunks cover ${start} bytes of a ${fileLength} byte file`, 'LENGTH_MISMATCH');
+  }
+
+  return { header, blockSize, fileLength, hashAlgorithm, hashLength, sources: null, wide, params, chunks };
 };
 
 /**
- * Apply patch with verification callbacks
- * 
- * @param {ArrayBuffer} patchDocument - Patch document
- * @param {ArrayBuffer} data - Destination data
+ * List the chunks of a chunk document. Chunks with the same hash have the
+ * same content, so the lists of two versions can be compared directly and
+ * the hash used as a storage key for deduplication.
+ *
+ * @param {ArrayBuffer} chunkDocument - Chunk document
+ * @returns {Array<{ offset: number, length: number, hash: string }>} Chunks in
+ *   file order, with the strong hash in hex
+ */
+export const listChunks = (chunkDocument) => {
+  if (!(chunkDocument instanceof ArrayBuffer)) {
+    throw new Error('Chunk document must be an ArrayBuffer');
+  }
+
+  return readChunkDocument(chunkDocument).chunks
+    .map(({ offset, length, hash }) => ({ offset, length, hash: toHex(hash) }));
+};
+
+/**
+ * Create an extension document, the receiver's half of match extension. For
+ * each range from planMatchExtension (the bytes just before or after a run
+ * of blocks the sender matched), the receiver's data is hashed in
+ * `granularity`-byte pieces, starting next to the run. With it,
+ * createPatchDocument copies the pieces the sender's bytes agree with
+ * instead of sending them.
+ *
+ * @param {ArrayBuffer} data - The destination data
+ * @param {Array<{ offset: number, length: number, direction: 'backward'|'forward' }>} ranges -
+ *   Ranges from planMatchExtension
  * @param {Object} options - Optional configuration
- * @param {Function} options.onProgress - Progress callback
- * @param {Function} options.onBlockApplied - Block applied callback
- * @param {AbortSignal} options.signal - Cancellation signal
- * @returns {ArrayBuffer} Patched data
+ * @param {number} options.granularity - Piece size in bytes (default 32)
+ * @param {'blake2s'|'blake3'|'sha256'|'xxh128'|'blake2b'|'md4'} options.hash - Strong hash of
+ *   each piece (default 'blake2s')
+ * @param {number} options.hashLength - Strong hash bytes per piece (default 4)
+ * @returns {ArrayBuffer} Extension document
  */
-export const applyPatch = (patchDocument, data, options = {}) => {
-  const { onProgress, onBlockApplied, signal } = options;
+export const createExtensionDocument = (data, ranges, options = {}) => {
+  const { granularity = DEFAULT_EXTENSION_GRANULARITY } = options;
 
-  if (!(patchDocument instanceof ArrayBuffer)) {
-    throw new Error('Patch document must be an ArrayBuffer');
-  }
   if (!(data instanceof ArrayBuffer)) {
     throw new Error('Data must be an ArrayBuffer');
   }
+  if (!Array.isArray(ranges)) {
+    throw new Error('Ranges must be an array of { offset, length }');
+  }
+  if (!Number.isInteger(granularity) || granularity < 1 || granularity > MAX_BLOCK_SIZE) {
+    throw new Error(`granularity must be an integer between 1 and ${MAX_BLOCK_SIZE}`);
+  }
+  const { hashAlgorithm, hashLength } = strongHashOptions({ hashLength: DEFAULT_EXTENSION_HASH_LENGTH, ...options });
 
-  const view32 = new Uint32Array(patchDocument, 0, 3);
-  const blockSize = view32[0];
-  const patchCount = view32[1];
-  const matchCount = view32[2];
+  const dataView = new Uint8Array(data);
+  const output = new BufferBuilder(HEADER_SIZE + 4);
+  output.append(encodeHeader({
+    type: DOC_EXTENSION,
+    hashAlgorithm,
+    hashLength,
+    fileLength: data.byteLength,
+    blockSize: granularity
+  }));
+  output.appendUint32(ranges.length);
 
-  // Quick path: exact match
-  if (patchCount === 0) {
-    const matchedBlocks = new Uint32Array(patchDocument, 12, matchCount);
-    const expectedBlocks = Math.ceil(data.byteLength / blockSize);
-
-    if (matchCount === expectedBlocks) {
-      let isSequential = true;
-      for (let i = 0; i < matchCount; i++) {
-        if (matchedBlocks[i] !== i + 1) {
-          isSequential = false;
-          break;
-        }
+  for (const { offset, length, direction } of ranges) {
+    if (
+      !Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 ||
+      length < 1 || length > MAX_BLOCK_SIZE || offset + length > data.byteLength
+    ) {
+      throw new Error(`Invalid range ${offset}+${length} for ${data.byteLength} bytes of data`);
+    }
+    if (direction !== 'backward' && direction !== 'forward') {
+      throw new Error("Range direction must be 'backward' or 'forward'");
+    }
+
+    output.appendUint64(offset);
+    output.appendUint32(length);
+    output.appendUint8(direction === 'forward' ? EXTEND_FORWARD : EXTEND_BACKWARD);
+    for (let done = 0; done < length; done += granularity) {
+      const size = Math.min(granularity, length - done);
+      const start = direction === 'forward' ? offset + done : offset + length - done - size;
+      output.append(strongHash(dataView.subarray(start, start + size), hashLength, hashAlgorithm));
+    }
+  }
+
+  return output.toArrayBuffer();
+};
+
+/**
+ * Read an extension document into its ranges: backward ones keyed by where
+ * they end, forward ones by where they start
+ */
+const readExtensionDocument = (extensionDocument) => {
+  const header = expectDocument(extensionDocument, DOC_EXTENSION);
+  if (!header) {
+    throw new FormatError('Expected an extension document, got a headerless document', 'WRONG_TYPE');
+  }
+
+  const { blockSize: granularity, fileLength, hashAlgorithm, hashLength } = header;
+  const view = new DataView(extensionDocument);
+  const bytes = new Uint8Array(extensionDocument);
+  const need = (offset, length) => {
+    if (offset + length > extensionDocument.byteLength) {
+      throw new FormatError('Extension document is truncated', 'TRUNCATED');
+    }
+  };
+
+  need(HEADER_SIZE, 4);
+  const numRanges = view.getUint32(HEADER_SIZE, true);
+  const backward = new Map();
+  const forward = new Map();
+  let offset = HEADER_SIZE + 4;
+
+  for (let r = 0; r < numRanges; r++) {
+    need(offset, 13);
+    const start = readUint64(view, offset, 'INVALID_OPERATION');
+    const length = view.getUint32(offset + 8, true);
+    const direction = view.getUint8(offset + 12);
+    offset += 13;
+
+    if (
+      length === 0 || length > MAX_BLOCK_SIZE || (fileLength !== null && start + length > fileLength) ||
+      (direction !== EXTEND_BACKWARD && direction !== EXTEND_FORWARD)
+    ) {
+      throw new FormatError(`Invalid extension range ${start}+${length}`, 'INVALID_OPERATION');
+    }
+
+    const hashesLength = Math.ceil(length / granularity) * hashLength;
+    need(offset, hashesLength);
+    const range = { length, hashes: bytes.subarray(offset, offset + hashesLength) };
+    if (direction === EXTEND_FORWARD) {
+      forward.set(start, range);
+    } else {
+      backward.set(start + length, range);
+    }
+    offset += hashesLength;
+  }
+
+  if (offset !== extensionDocument.byteLength) {
+    throw new FormatError('Unexpected data after the extension ranges', 'TRAILING_DATA');
+  }
+
+  return { header, granularity, fileLength, hashAlgorithm, hashLength, numRanges, backward, forward };
+};
+
+// copySource of a pending run copied from the output itself
+const SELF_SOURCE = -1;
+
+/**
+ * Encode a literal run, compressed when that makes it smaller. Returns the
+ * number of bytes stored.
+ */
+const appendLiteral = (output, data, compressed = null) => {
+  if (compressed && compressed.length < data.length) {
+    output.appendUint8(OP_LITERAL_COMPRESSED);
+    output.appendUint32(data.length);
+    output.appendUint32(compressed.length);
+    output.append(compressed);
+    return compressed.length;
+  }
+
+  output.appendUint8(OP_LITERAL);
+  output.appendUint32(data.length);
+  output.append(data);
+  return data.length;
+};
+
+/**
+ * Incremental rsync matcher behind createPatchDocument and its streaming
+ * variant. Source bytes are pushed in arbitrary chunks; the rolling Adler-32
+ * window is carried across chunk boundaries, so the resulting document does
+ * not depend on how the source was split. Patch operations are encoded into
+ * `output` as soon as they are known.
+ */
+class PatchMatcher {
+  constructor(checksums, options = {}) {
+    this.blockSize = checksums.blockSize;
+    this.hashAlgorithm = checksums.hashAlgorithm;
+    this.hashLength = checksums.hashLength;
+    this.hashTable = checksums.hashTable;
+    this.sources = checksums.sources;
+    this.wide = checksums.wide;
+    this.onProgress = options.onProgress;
+    this.signal = options.signal;
+    this.totalBytes = options.totalBytes;
+
+    const { digest = DEFAULT_DIGEST, compression = false } = options;
+    this.digestAlgorithm = digest ? digestAlgorithmId(digest) : null;
+    this.digest = digest ? createDigest(this.digestAlgorithm) : null;
+
+    // With deferLiterals, literal runs are left in `parts` for the caller
+    // to compress asynchronously
+    this.compression = compression ? compressionCodecId(compression) : COMPRESSION_NONE;
+    this.deferLiterals = Boolean(options.deferLiterals && this.compression);
+    this.parts = [];
+
+    // Unconsumed source bytes; window[0] sits at absolute offset windowStart
+    this.window = new Uint8Array(0);
+    this.windowStart = 0;
+    this.position = 0;
+    this.bytesReceived = 0;
+
+    this.output = new BufferBuilder(8192);
+    this.output.append(encodeHeader({
+      type: DOC_PATCH,
+      hashAlgorithm: this.hashAlgorithm,
+      hashLength: this.hashLength,
+      compression: this.compression,
+      flags: (this.sources ? FLAG_MULTI_SOURCE : 0) | (this.wide ? FLAG_WIDE : 0),
+      fileLength: checksums.fileLength,
+      blockSize: this.blockSize
+    }));
+    if (this.sources) {
+      this.output.append(encodeSourceTable(this.sources));
+    }
+
+    // Pending run of consecutive matched blocks, and the pending literal
+    // run as an absolute [literalStart, literalStart + literalLength) range
+    this.copySource = undefined;
+    this.copyStart = 0;
+    this.copyCount = 0;
+    this.literalStart = 0;
+    this.literalLength = 0;
+    this.matchCount = 0;
+    this.patchCount = 0;
+    this.lastProgressUpdate = 0;
+
+    // With selfReference, full blocks of the source that went out as
+    // literals are indexed at their block-aligned offsets once the scan has
+    // passed them, so later repeats are copied from the output instead.
+    // selfNext is the next aligned offset to consider and unmatchedFrom the
+    // end of the last match; only blocks after it are all literal.
+    this.selfIndex = options.selfReference ? new Map() : null;
+    this.selfNext = 0;
+    this.unmatchedFrom = 0;
+    this.copyTarget = 0;
+
+    // Receiver's hashes of the bytes around matched runs. forwardFrom is the
+    // destination offset after the last matched run while the literal run
+    // that follows it has not been flushed yet.
+    this.extension = null;
+    this.forwardFrom = null;
+    if (options.extension) {
+      if (this.sources) {
+        throw new Error('Match extension needs the checksum document of a single file');
+      }
+      this.extension = readExtensionDocument(options.extension);
+      if (checksums.fileLength !== null && this.extension.fileLength !== checksums.fileLength) {
+        throw new Error('The extension document was made for different data than the checksum document');
       }
-      if (isSequential) return data;
     }
+
+    // Rolling checksum of the rollLength bytes at rollStart (0: none yet)
+    this.rollA = 0;
+    this.rollB = 0;
+    this.rollStart = 0;
+    this.rollLength = 0;
+
+    this.stats = {
+      bytesProcessed: 0,
+      matchesFound: 0,
+      bytesMatched: 0,
+      bytesSelfMatched: 0,
+      bytesSent: 0,
+      rawBytesSent: 0
+    };
   }
 
-  const result = new BufferBuilder(data.byteLength);
-  const matchedBlocks = new Uint32Array(patchDocument, 12, matchCount);
-  const view8 = new Uint8Array(patchDocument);
+  /**
+   * Feed the next source chunk and match every window that is now complete.
+   * The chunk is copied if it has to be kept, since a stream may reuse its
+   * buffer for the next read (BYOB readers, pooled Node Buffers, whose
+   * slice() is a view rather than a copy); pass `stable`
+   * when the caller won't change it until the matcher is done.
+   */
+  push(chunk, stable = false) {
+    // Keep the pending literal run and one byte before the current position
+    // for the rolling checksum, and the source blocks not yet indexed
+    let keepUntil = this.literalLength > 0 ? Math.min(this.literalStart, this.position - 1) : this.position - 1;
+    if (this.selfIndex) keepUntil = Math.min(keepUntil, this.selfNext);
+    const keepFrom = Math.max(0, keepUntil - this.windowStart);
+    const kept = this.window.subarray(keepFrom);
 
-  let patchOffset = 12 + (matchCount * 4);
-  let matchIndex = 0;
-  let blocksApplied = 0;
+    if (kept.length === 0) {
+      this.window = stable ? chunk : new Uint8Array(chunk);
+    } else {
+      this.window = new Uint8Array(kept.length + chunk.length);
+      this.window.set(kept);
+      this.window.set(chunk, kept.length);
+    }
+    this.windowStart += keepFrom;
+    this.bytesReceived += chunk.length;
+    this.digest?.update(chunk);
+    this.scan(false);
+  }
+
+  /**
+   * Match the remaining tail, flush pending operations and end the document
+   */
+  finish() {
+    this.scan(true);
+    this.flushPatch();
+    this.flushCopy();
+
+    if (this.digest) {
+      const digest = this.digest.digest();
+      this.output.appendUint8(OP_CHECK);
+      this.output.appendUint8(this.digestAlgorithm);
+      this.output.appendUint8(digest.length);
+      this.output.appendUint64(this.bytesReceived);
+      this.output.append(digest);
+    }
+
+    this.output.appendUint8(OP_END);
+  }
+
+  /**
+   * The hot loop: roll the checksum one byte at a time and look it up.
+   * Rolling state, literal run and progress are kept in locals and nothing
+   * is allocated unless a weak checksum hits.
+   */
+  scan(final) {
+    const { blockSize, hashAlgorithm, hashLength, stats, window, windowStart, onProgress, signal } = this;
+    const { filter, bucketStart, bucketEntries, adlers, blockIndexes, sourceIds, strongHashes } = this.hashTable;
+    const end = windowStart + window.length;
+    const progressInterval = blockSize * 10;
+    let i = this.position;
+    let { rollA: a, rollB: b, rollStart, rollLength, literalStart, literalLength, lastProgressUpdate } = this;
+    const { selfIndex } = this;
+    let selfIndexAt = selfIndex ? this.selfNext + blockSize : Infinity;
 
-  for (let i = 0; i < patchCount; i++) {
     if (signal?.aborted) {
       throw new Error('Operation cancelled');
     }
 
-    const lastMatchingBlockIndex = readUint32LE(view8, patchOffset);
-    const patchSize = readUint32LE(view8, patchOffset + 4);
-    patchOffset += 8;
+    while (i < end && (final || i + blockSize <= end)) {
+      if (i >= selfIndexAt) {
+        this.indexSource(i);
+        selfIndexAt = this.selfNext + blockSize;
+      }
 
-    while (matchIndex < matchCount) {
-      const blockIndex = matchedBlocks[matchIndex];
-      if (blockIndex > lastMatchingBlockIndex) break;
+      const offset = i - windowStart;
+      const length = Math.min(blockSize, end - i);
 
-      const start = (blockIndex - 1) * blockSize;
-      const chunkSize = Math.min(blockSize, data.byteLength - start);
-      result.append(new Uint8Array(data, start, chunkSize));
+      // The modulus is 2^16, so masking keeps a and b in range even when
+      // the subtraction goes negative
+      if (rollLength > 0 && rollStart === i - 1 && rollLength === length) {
+        // Slide the window by one byte
+        const firstByte = window[offset - 1];
+        a = (a - firstByte + window[offset + length - 1]) & 0xffff;
+        b = (b - length * firstByte + a) & 0xffff;
+      } else if (rollLength > 0 && rollStart === i - 1 && rollLength === length + 1) {
+        // Source tail: the window only loses its first byte
+        const firstByte = window[offset - 1];
+        a = (a - firstByte) & 0xffff;
+        b = (b - rollLength * firstByte) & 0xffff;
+      } else {
+        a = 0;
+        b = 0;
+        for (let k = offset; k < offset + length; k++) {
+          a += window[k];
+          b += a;
+        }
+        a %= HASH_TABLE_SIZE;
+        b %= HASH_TABLE_SIZE;
+      }
+      rollStart = i;
+      rollLength = length;
 
-      if (onBlockApplied) {
-        onBlockApplied({
-          blockIndex,
-          source: 'matched',
-          size: chunkSize
-        });
+      // Buckets are keyed by the low 16 bits of the checksum, which is a;
+      // a bit filter over a and b first rules out most windows that match
+      // no block, without touching the buckets
+      const checksum = ((b << 16) | a) >>> 0;
+      let match = -1;
+      let selfMatch = -1;
+      let blockHash = null;
+
+      const key = filterKey(a, b);
+      if (filter[key >>> 5] & (1 << (key & 31))) {
+        for (let e = bucketStart[a]; e < bucketStart[a + 1]; e++) {
+          const entry = bucketEntries[e];
+          if (adlers[entry] !== checksum) continue;
+
+          blockHash ??= strongHash(window.subarray(offset, offset + length), hashLength, hashAlgorithm);
+          if (hashEquals(strongHashes, entry * hashLength, blockHash)) {
+            match = entry;
+            break;
+          }
+        }
+
+        if (match === -1 && selfIndex && length === blockSize) {
+          for (const candidate of selfIndex.get(checksum) ?? []) {
+            blockHash ??= strongHash(window.subarray(offset, offset + length), hashLength, hashAlgorithm);
+            if (bytesEqual(candidate.hash, blockHash)) {
+              selfMatch = candidate.offset;
+              break;
+            }
+          }
+        }
       }
 
-      matchIndex++;
-      blocksApplied++;
+      if (selfMatch !== -1) {
+        if (literalLength > 0) {
+          this.literalStart = literalStart;
+          this.literalLength = literalLength;
+          this.flushPatch();
+          literalLength = 0;
+        }
+
+        // A run is only extended while everything it reads is already
+        // written when the copy starts
+        if (
+          this.copyCount > 0 &&
+          this.copySource === SELF_SOURCE &&
+          selfMatch === this.copyStart + this.copyCount &&
+          selfMatch + blockSize <= this.copyTarget &&
+          this.copyCount + blockSize <= MAX_UINT32
+        ) {
+          this.copyCount += blockSize;
+        } else {
+          this.flushCopy();
+          this.copySource = SELF_SOURCE;
+          this.copyStart = selfMatch;
+          this.copyCount = blockSize;
+          this.copyTarget = i;
+        }
+
+        this.matchCount++;
+        stats.matchesFound++;
+        stats.bytesSelfMatched += blockSize;
+
+        i += blockSize;
+        rollLength = 0;
+        this.unmatchedFrom = i;
+        this.forwardFrom = null;
+      } else if (match !== -1) {
+        const blockIndex = blockIndexes[match];
+        const sourceId = sourceIds ? sourceIds[match] : undefined;
+
+        // The end of the literal run that the receiver's pieces confirm is
+        // copied from the bytes before the block
+        const start = (blockIndex - 1) * blockSize;
+        const extended = this.extension && literalLength > 0
+          ? this.extendMatch(this.extension.backward.get(start), i, literalLength, false)
+          : 0;
+        literalLength -= extended;
+
+        if (literalLength > 0) {
+          this.literalStart = literalStart;
+          this.literalLength = literalLength;
+          this.flushPatch();
+          literalLength = 0;
+        }
+        if (extended > 0) this.writeRange(start - extended, extended);
+
+        if (
+          this.copyCount > 0 &&
+          sourceId === this.copySource &&
+          blockIndex === this.copyStart + this.copyCount
+        ) {
+          this.copyCount++;
+        } else {
+          this.flushCopy();
+          this.copySource = sourceId;
+          this.copyStart = blockIndex;
+          this.copyCount = 1;
+        }
+
+        this.matchCount++;
+        stats.matchesFound++;
+        stats.bytesMatched += blockSize;
+
+        i += blockSize;
+        rollLength = 0;
+        this.unmatchedFrom = i;
+        if (this.extension) this.forwardFrom = blockIndex * blockSize;
+      } else {
+        if (this.copyCount > 0) this.flushCopy();
+
+        if (literalLength === 0) literalStart = i;
+        literalLength++;
+        i++;
+
+        // Fast path: in unmatched data most positions miss the filter, so
+        // slide on without the general bookkeeping
+        if (rollLength === blockSize) {
+          const stop = Math.min(
+            end - blockSize,
+            literalStart + MAX_LITERAL_LENGTH - 1,
+            lastProgressUpdate + progressInterval,
+            selfIndexAt - 1
+          );
+
+          while (i <= stop) {
+            const offset = i - windowStart;
+            const firstByte = window[offset - 1];
+            const nextA = (a - firstByte + window[offset + blockSize - 1]) & 0xffff;
+            const nextB = (b - blockSize * firstByte + nextA) & 0xffff;
+            const key = filterKey(nextA, nextB);
+            if (filter[key >>> 5] & (1 << (key & 31))) break;
+
+            a = nextA;
+            b = nextB;
+            literalLength++;
+            i++;
+          }
+          rollStart = i - 1;
+        }
+
+        if (literalLength === MAX_LITERAL_LENGTH) {
+          this.literalStart = literalStart;
+          this.literalLength = literalLength;
+          this.flushPatch();
+          literalLength = 0;
+        }
+      }
+
+      if ((i - lastProgressUpdate) > progressInterval) {
+        lastProgressUpdate = i;
+
+        if (onProgress) {
+          stats.bytesProcessed = i;
+          onProgress({
+            phase: 'patch',
+            bytesProcessed: i,
+            totalBytes: this.totalBytes,
+            percent: this.totalBytes ? (i / this.totalBytes) * 100 : undefined,
+            matchesFound: this.matchCount,
+            patchesCreated: this.patchCount,
+            stats
+          });
+        }
+
+        if (signal?.aborted) {
+          throw new Error('Operation cancelled');
+        }
+      }
     }
 
-    result.append(view8.subarray(patchOffset, patchOffset + patchSize));
+    if (selfIndex) this.indexSource(i);
 
-    if (onBlockApplied) {
-      onBlockApplied({
-        blockIndex: null,
-        source: 'patch',
-        size: patchSize
-      });
+    stats.bytesProcessed = i;
+    this.position = i;
+    Object.assign(this, { rollA: a, rollB: b, rollStart, rollLength, literalStart, literalLength, lastProgressUpdate });
+  }
+
+  /**
+   * Count how many of the `available` literal bytes next to `position`
+   * match the receiver's range, one extension piece at a time: the bytes
+   * before it for a backward range, after it for a forward one
+   */
+  extendMatch(range, position, available, forward) {
+    if (!range) return 0;
+    const { granularity, hashAlgorithm, hashLength } = this.extension;
+
+    let extended = 0;
+    for (let piece = 0; extended < range.length; piece++) {
+      const length = Math.min(granularity, range.length - extended);
+      if (extended + length > available) break;
+
+      const start = (forward ? position + extended : position - extended - length) - this.windowStart;
+      const hash = strongHash(this.window.subarray(start, start + length), hashLength, hashAlgorithm);
+      if (!bytesEqual(hash, range.hashes.subarray(piece * hashLength, (piece + 1) * hashLength))) break;
+      extended += length;
     }
+    return extended;
+  }
 
-    patchOffset += patchSize;
+  writeRange(offset, length) {
+    this.output.appendUint8(OP_COPY_RANGE);
+    this.output.appendUint64(offset);
+    this.output.appendUint32(length);
+    this.stats.bytesMatched += length;
+  }
 
-    if (onProgress) {
-      onProgress({
-        phase: 'apply',
-        patchesApplied: i + 1,
-        totalPatches: patchCount,
-        blocksApplied,
-        percent: ((i + 1) / patchCount) * 100
-      });
+  /**
+   * Index the block-aligned source blocks that end at or before `upTo` and
+   * were sent entirely as literals. Their checksums go into the shared
+   * filter, so the hot loop stops on them like on destination blocks.
+   */
+  indexSource(upTo) {
+    const { blockSize, hashAlgorithm, hashLength, window, windowStart, selfIndex } = this;
+    const { filter } = this.hashTable;
+
+    for (; this.selfNext + blockSize <= upTo; this.selfNext += blockSize) {
+      const start = this.selfNext;
+      if (start < this.unmatchedFrom) continue;
+
+      const block = window.subarray(start - windowStart, start - windowStart + blockSize);
+      let a = 0;
+      let b = 0;
+      for (let k = 0; k < block.length; k++) {
+        a += block[k];
+        b += a;
+      }
+      a %= HASH_TABLE_SIZE;
+      b %= HASH_TABLE_SIZE;
+
+      const checksum = ((b << 16) | a) >>> 0;
+      const candidates = selfIndex.get(checksum);
+      const candidate = { offset: start, hash: strongHash(block, hashLength, hashAlgorithm) };
+      if (candidates) {
+        candidates.push(candidate);
+      } else {
+        selfIndex.set(checksum, [candidate]);
+      }
+
+      const key = filterKey(a, b);
+      filter[key >>> 5] |= 1 << (key & 31);
     }
   }
 
-  while (matchIndex < matchCount) {
-    const blockIndex = matchedBlocks[matchIndex];
-    const start = (blockIndex - 1) * blockSize;
-    const chunkSize = Math.min(blockSize, data.byteLength - start);
-    result.append(new Uint8Array(data, start, chunkSize));
+  flushPatch() {
+    if (this.literalLength === 0) return;
 
-    if (onBlockApplied) {
-      onBlockApplied({
-        blockIndex,
-        source: 'matched',
-        size: chunkSize
-      });
+    // The start of the run that the receiver's pieces confirm is copied
+    // from the bytes after the last matched run
+    if (this.forwardFrom !== null) {
+      const range = this.extension.forward.get(this.forwardFrom);
+      const extended = this.extendMatch(range, this.literalStart, this.literalLength, true);
+      if (extended > 0) {
+        this.writeRange(this.forwardFrom, extended);
+        this.literalStart += extended;
+        this.literalLength -= extended;
+      }
+      this.forwardFrom = null;
+      if (this.literalLength === 0) return;
     }
 
-    matchIndex++;
+    const { literalLength, compression } = this;
+
+    const offset = this.literalStart - this.windowStart;
+    const data = this.window.subarray(offset, offset + literalLength);
+    if (compression === COMPRESSION_NONE || data.length < MIN_COMPRESSED_LITERAL) {
+      this.writeLiteral(data);
+    } else if (this.deferLiterals) {
+      this.parts.push(this.takeBytes(), { literal: data.slice() });
+    } else {
+      this.writeLiteral(data, LITERAL_CODECS[compression].compress(data));
+    }
+    this.literalLength = 0;
+    this.patchCount++;
   }
 
-  if (onProgress) {
-    onProgress({
-      phase: 'apply',
-      patchesApplied: patchCount,
-      totalPatches: patchCount,
-      blocksApplied: matchCount,
-      percent: 100
-    });
+  writeLiteral(data, compressed = null) {
+    this.stats.bytesSent += appendLiteral(this.output, data, compressed);
+    this.stats.rawBytesSent += data.length;
   }
 
-  return result.toArrayBuffer();
-};
+  flushCopy() {
+    if (this.copyCount === 0) return;
+
+    if (this.copySource === SELF_SOURCE) {
+      this.output.appendUint8(OP_COPY_OUTPUT);
+      this.output.appendUint64(this.copyStart);
+      this.output.appendUint32(this.copyCount);
+      this.copyCount = 0;
+      return;
+    }
+
+    if (this.sources) {
+      this.output.appendUint8(OP_COPY_SOURCE);
+      this.output.appendUint32(this.copySource);
+    } else {
+      this.output.appendUint8(OP_COPY);
+    }
+    if (this.wide) {
+      this.output.appendUint64(this.copyStart);
+      this.output.appendUint64(this.copyCount);
+    } else {
+      this.output.appendUint32(this.copyStart);
+      this.output.appendUint32(this.copyCount);
+    }
+    this.copyCount = 0;
+  }
+
+  takeBytes() {
+    const chunk = this.output.buffer.slice(0, this.output.length);
+    this.output.length = 0;
+    return chunk;
+  }
+
+  /**
+   * Hand over the document chunks encoded since the last call, compressing
+   * deferred literal runs on the way
+   */
+  async* takeOutput() {
+    const parts = this.parts;
+    this.parts = [];
+    parts.push(this.takeBytes());
+
+    for (const part of parts) {
+      if (part.literal) {
+        this.writeLiteral(part.literal, await compressLiteralAsync(this.compression, part.literal));
+        yield this.takeBytes();
+      } else if (part.length > 0) {
+        yield part;
+      }
+    }
+  }
+
+  reportDone(totalBytes) {
+    if (!this.onProgress) return;
+
+    this.onProgress({
+      phase: 'patch',
+      bytesProcessed: totalBytes,
+      totalBytes,
+      percent: 100,
+      matchesFound: this.matchCount,
+      patchesCreated: this.patchCount,
+      stats: this.stats
+    });
+  }
+}
 
 /**
- * Merge multiple checksum documents (for multi-peer scenarios)
- * 
- * @param {...ArrayBuffer} checksumDocs - Checksum documents to merge
- * @returns {ArrayBuffer} Merged checksum document
+ * Matcher for chunk documents. The source is cut with the document's FastCDC
+ * parameters and each chunk is looked up by strong hash, so nothing rolls.
+ * Matches are copied as byte ranges of the base, merged when contiguous.
  */
-export const mergeChecksumDocuments = (...checksumDocs) => {
-  if (checksumDocs.length === 0) {
-    throw new Error('At least one checksum document required');
-  }
+class ChunkMatcher extends PatchMatcher {
+  constructor(chunkDocument, options = {}) {
+    if (options.extension) {
+      throw new Error('Match extension needs a checksum document, not a chunk document');
+    }
 
-  const blockSizes = checksumDocs.map(doc => new Uint32Array(doc, 0, 1)[0]);
-  const blockSize = blockSizes[0];
+    const { params, chunks, ...checksums } = readChunkDocument(chunkDocument);
+    super(checksums, { ...options, selfReference: false });
+    this.params = params;
 
-  if (!blockSizes.every(size => size === blockSize)) {
-    throw new Error('All checksum documents must have the same block size');
+    // Identical chunks are copied from their first occurrence
+    this.chunkTable = new Map();
+    for (const { offset, length, hash } of chunks) {
+      const key = toHex(hash);
+      if (!this.chunkTable.has(key)) {
+        this.chunkTable.set(key, { offset, length });
+      }
+    }
   }
 
-  const blockMap = new Map();
+  /**
+   * Cut and look up every chunk that is now complete. A cut needs maxSize
+   * bytes of lookahead, so chunks are only taken once that much is buffered,
+   * keeping the boundaries independent of how the source was split.
+   */
+  scan(final) {
+    const { window, windowStart, params, hashAlgorithm, hashLength, stats, onProgress, signal } = this;
+    const end = windowStart + window.length;
+    const progressInterval = params.averageSize * 10;
+    let i = this.position;
+
+    if (signal?.aborted) {
+      throw new Error('Operation cancelled');
+    }
 
-  for (const doc of checksumDocs) {
-    const view = new Uint32Array(doc);
-    const numBlocks = view[1];
+    while (i < end && (final || end - i >= params.maxSize)) {
+      const offset = i - windowStart;
+      const length = cutPoint(window, offset, Math.min(end - i, params.maxSize), params);
+      const match = this.chunkTable.get(toHex(strongHash(window.subarray(offset, offset + length), hashLength, hashAlgorithm)));
 
-    for (let i = 2; i < 2 + numBlocks * 5; i += 5) {
-      const key = `${view[i]}-${view[i + 1]}-${view[i + 2]}-${view[i + 3]}-${view[i + 4]}`;
-      if (!blockMap.has(key)) {
-        blockMap.set(key, [view[i], view[i + 1], view[i + 2], view[i + 3], view[i + 4]]);
+      if (match && match.length === length) {
+        this.flushPatch();
+
+        if (
+          this.copyCount > 0 &&
+          match.offset === this.copyStart + this.copyCount &&
+          this.copyCount + length <= MAX_UINT32
+        ) {
+          this.copyCount += length;
+        } else {
+          this.flushCopy();
+          this.copyStart = match.offset;
+          this.copyCount = length;
+        }
+
+        this.matchCount++;
+        stats.matchesFound++;
+        stats.bytesMatched += length;
+      } else {
+        this.flushCopy();
+
+        // Literal runs are capped, so a long chunk may span several
+        for (let taken = 0; taken < length;) {
+          if (this.literalLength === 0) this.literalStart = i + taken;
+          const count = Math.min(length - taken, MAX_LITERAL_LENGTH - this.literalLength);
+          this.literalLength += count;
+          taken += count;
+          if (this.literalLength === MAX_LITERAL_LENGTH) this.flushPatch();
+        }
+      }
+
+      i += length;
+
+      if ((i - this.lastProgressUpdate) > progressInterval) {
+        this.lastProgressUpdate = i;
+
+        if (onProgress) {
+          stats.bytesProcessed = i;
+          onProgress({
+            phase: 'patch',
+            bytesProcessed: i,
+            totalBytes: this.totalBytes,
+            percent: this.totalBytes ? (i / this.totalBytes) * 100 : undefined,
+            matchesFound: this.matchCount,
+            patchesCreated: this.patchCount,
+            stats
+          });
+        }
+
+        if (signal?.aborted) {
+          throw new Error('Operation cancelled');
+        }
       }
     }
+
+    stats.bytesProcessed = i;
+    this.position = i;
   }
 
-  const numBlocks = blockMap.size;
-  const docLength = 8 + (numBlocks * 20);
-  const doc = new ArrayBuffer(docLength);
-  const view32 = new Uint32Array(doc);
+  /**
+   * The pending copy is a byte range: copyStart is its offset in the base
+   * and copyCount its length
+   */
+  flushCopy() {
+    if (this.copyCount === 0) return;
+
+    this.output.appendUint8(OP_COPY_RANGE);
+    this.output.appendUint64(this.copyStart);
+    this.output.appendUint32(this.copyCount);
+    this.copyCount = 0;
+  }
+}
+
+/**
+ * Matcher for a checksum or chunk document
+ */
+const createMatcher = (checksumDocument, options) => (
+  readHeader(checksumDocument)?.type === DOC_CHUNKS
+    ? new ChunkMatcher(checksumDocument, options)
+    : new PatchMatcher(parseChecksumDocument(checksumDocument), options)
+);
+
+/**
+ * Normalize a ReadableStream, async iterable or iterable of chunks into an
+ * async iterator of Uint8Arrays
+ */
+async function* readChunks(source) {
+  const toBytes = (chunk) => {
+    if (chunk instanceof Uint8Array) return chunk;
+    if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+    if (ArrayBuffer.isView(chunk)) {
+      return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    }
+    throw new Error('Source chunks must be ArrayBuffers or ArrayBuffer views');
+  };
 
-  view32[0] = blockSize;
-  view32[1] = numBlocks;
+  if (typeof source?.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield toBytes(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
 
-  let offset = 2;
-  for (const block of blockMap.values()) {
-    view32[offset++] = block[0];
-    view32[offset++] = block[1];
-    view32[offset++] = block[2];
-    view32[offset++] = block[3];
-    view32[offset++] = block[4];
+  if (!source || (!source[Symbol.asyncIterator] && !source[Symbol.iterator])) {
+    throw new Error('Source must be a ReadableStream or an (async) iterable of chunks');
   }
 
-  return doc;
+  for await (const chunk of source) {
+    yield toBytes(chunk);
+  }
+}
+
+/**
+ * Create patch document with progress and cancellation support
+ * 
+ * @param {ArrayBuffer} checksumDocument - Checksum or chunk document from destination
+ * @param {ArrayBuffer} data - Source data
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {'blake2s'|'sha256'|false} options.digest - Whole-source digest
+ *   embedded for verification on apply (default 'blake2s')
+ * @param {'deflate'|'gzip'|false} options.compression - Literal run
+ *   compression (default false)
+ * @param {boolean} options.selfReference - Also match blocks repeated
+ *   within the source, copying them from the output already rebuilt
+ *   (default false; checksum documents only)
+ * @param {ArrayBuffer} options.extension - Extension document from the
+ *   receiver, to extend matches backward over unchanged bytes (see
+ *   planMatchExtension)
+ * @param {'bit-sync'|'vcdiff'} options.format - Patch layout: this
+ *   library's, or standard VCDIFF (RFC 3284) for xdelta3 and open-vcdiff,
+ *   which has no integrity check (default 'bit-sync')
+ * @returns {ArrayBuffer} Patch document
+ */
+export const createPatchDocument = (checksumDocument, data, options = {}) => {
+  if (!(checksumDocument instanceof ArrayBuffer)) {
+    throw new Error('Checksum document must be an ArrayBuffer');
+  }
+  if (!(data instanceof ArrayBuffer)) {
+    throw new Error('Data must be an ArrayBuffer');
+  }
+
+  const { format = 'bit-sync' } = options;
+  if (format !== 'bit-sync' && format !== 'vcdiff') {
+    throw new Error("format must be 'bit-sync' or 'vcdiff'");
+  }
+
+  // VCDIFF copies byte ranges of a single base of known length
+  const header = readHeader(checksumDocument);
+  if (format === 'vcdiff' && (!header || header.fileLength === null || header.flags & FLAG_MULTI_SOURCE)) {
+    throw new Error('VCDIFF patches need a single-source checksum or chunk document that records the file length');
+  }
+
+  const matcher = createMatcher(checksumDocument, {
+    ...options,
+    ...(format === 'vcdiff' && { digest: false }),
+    totalBytes: data.byteLength
+  });
+  matcher.push(new Uint8Array(data), true);
+  matcher.finish();
+
+  matcher.reportDone(data.byteLength);
+
+  const patchDocument = matcher.output.toArrayBuffer();
+  return format === 'vcdiff' ? encodeVcdiff(patchDocument, header.fileLength) : patchDocument;
+};
+
+/**
+ * Streaming variant of createPatchDocument for sources too large to load
+ * into a single ArrayBuffer. The rolling window is kept across chunk
+ * boundaries, so the concatenated output is byte-identical to
+ * createPatchDocument over the same bytes. Patch chunks are yielded as the
+ * source is consumed. Literal runs are compressed with CompressionStream
+ * where available, so compressed bytes may differ from the sync encoder's.
+ *
+ * @param {ArrayBuffer} checksumDocument - Checksum or chunk document from destination
+ * @param {ReadableStream|AsyncIterable|Iterable} source - Source data chunks
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {number} options.totalBytes - Source size, if known, for progress percentages
+ * @param {'blake2s'|'sha256'|false} options.digest - Whole-source digest (default 'blake2s')
+ * @param {'deflate'|'gzip'|false} options.compression - Literal run compression (default false)
+ * @param {boolean} options.selfReference - Also match blocks repeated within the source (default false)
+ * @param {ArrayBuffer} options.extension - Extension document from the receiver (see planMatchExtension)
+ * @returns {AsyncGenerator<Uint8Array>} Patch document chunks
+ */
+export async function* createPatchDocumentStream(checksumDocument, source, options = {}) {
+  if (!(checksumDocument instanceof ArrayBuffer)) {
+    throw new Error('Checksum document must be an ArrayBuffer');
+  }
+
+  const matcher = createMatcher(checksumDocument, {
+    ...options,
+    deferLiterals: hasCompressionStreams
+  });
+
+  for await (const chunk of readChunks(source)) {
+    matcher.push(chunk);
+    yield* matcher.takeOutput();
+  }
+  matcher.finish();
+  yield* matcher.takeOutput();
+
+  matcher.reportDone(matcher.bytesReceived);
+}
+
+/**
+ * First round of match extension, run by the sender. Matches only cover
+ * whole blocks, so unchanged bytes right next to an edit still go out as
+ * literals. This lists, for every literal run, the destination bytes before
+ * the matched run that follows it and after the one that precedes it (up to
+ * a block each), for the receiver to answer with createExtensionDocument;
+ * createPatchDocument then takes that document as `extension` and copies
+ * the bytes that agree, leaving only the edit itself as literal bytes.
+ *
+ * @param {ArrayBuffer} checksumDocument - Checksum document from destination
+ * @param {ArrayBuffer} data - Source data
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {boolean} options.selfReference - As for createPatchDocument; must
+ *   match the option used for the final patch
+ * @returns {Array<{ offset: number, length: number, direction: 'backward'|'forward' }>}
+ *   Destination byte ranges, to be compared backward from their end or
+ *   forward from their start
+ */
+export const planMatchExtension = (checksumDocument, data, options = {}) => {
+  if (!(checksumDocument instanceof ArrayBuffer)) {
+    throw new Error('Checksum document must be an ArrayBuffer');
+  }
+  if (readHeader(checksumDocument)?.type === DOC_CHUNKS) {
+    throw new Error('Match extension needs a checksum document, not a chunk document');
+  }
+
+  const { blockSize, fileLength, sources } = readChecksumDocument(checksumDocument);
+  if (sources) {
+    throw new Error('Match extension needs the checksum document of a single file');
+  }
+
+  const patch = createPatchDocument(checksumDocument, data, {
+    onProgress: options.onProgress,
+    signal: options.signal,
+    selfReference: options.selfReference,
+    digest: false
+  });
+
+  // The matcher extends forward into the first literal operation after a
+  // run and backward into the last one before a run. Each range keeps the
+  // longest length asked for.
+  const backward = new Map();
+  const forward = new Map();
+  const request = (ranges, key, length) => {
+    ranges.set(key, Math.max(ranges.get(key) ?? 0, Math.min(length, blockSize)));
+  };
+
+  let runEnd = null;
+  let lastLiteral = 0;
+  for (const operation of readPatchOperations(patch)) {
+    if (operation.source === 'patch') {
+      if (runEnd !== null && runEnd < fileLength) request(forward, runEnd, operation.length);
+      runEnd = null;
+      lastLiteral = operation.length;
+      continue;
+    }
+
+    const isBlockRun = operation.source === 'matched';
+    if (isBlockRun && lastLiteral > 0 && operation.blockIndex > 1) {
+      request(backward, (operation.blockIndex - 1) * blockSize, lastLiteral);
+    }
+    runEnd = isBlockRun ? (operation.blockIndex + operation.blockCount - 1) * blockSize : null;
+    lastLiteral = 0;
+  }
+
+  return [
+    ...Array.from(backward, ([end, length]) => ({ offset: end - length, length, direction: 'backward' })),
+    ...Array.from(forward, ([start, length]) => ({ offset: start, length: Math.min(length, fileLength - start), direction: 'forward' }))
+  ];
+};
+
+/**
+ * Walk a headerless 1.0 patch: block size, patch count, match count, the
+ * matched block list, then literal runs anchored to the last matched block.
+ * Anchoring by block index only works when the matched blocks are in
+ * ascending order, so anything else is rejected.
+ */
+function* readLegacyPatchOperations(patchDocument) {
+  const { byteLength } = patchDocument;
+  if (byteLength < 12) {
+    throw new FormatError('Patch document is too short', 'TRUNCATED');
+  }
+
+  const view = new DataView(patchDocument);
+  const view8 = new Uint8Array(patchDocument);
+  const patchCount = view.getUint32(4, true);
+  const matchCount = view.getUint32(8, true);
+
+  if (matchCount > (byteLength - 12) / 4) {
+    throw new FormatError(`Match count ${matchCount} does not fit in the document`, 'TRUNCATED');
+  }
+
+  let patchOffset = 12 + (matchCount * 4);
+  let matchIndex = 0;
+  let previousBlock = 1;
+  let previousAnchor = 0;
+
+  const blockAt = (i) => view.getUint32(12 + (i * 4), true);
+  const nextMatch = () => {
+    const blockIndex = blockAt(matchIndex++);
+    if (blockIndex < previousBlock) {
+      throw new FormatError(`Matched block ${blockIndex} is out of order`, 'UNORDERED_BLOCKS');
+    }
+    previousBlock = blockIndex;
+    return { source: 'matched', blockIndex, blockCount: 1 };
+  };
+
+  for (let i = 0; i < patchCount; i++) {
+    if (patchOffset + 8 > byteLength) {
+      throw new FormatError(`Patch ${i} header is past the end of the document`, 'TRUNCATED');
+    }
+
+    const lastMatchingBlockIndex = readUint32LE(view8, patchOffset);
+    const patchSize = readUint32LE(view8, patchOffset + 4);
+    patchOffset += 8;
+
+    if (lastMatchingBlockIndex < previousAnchor) {
+      throw new FormatError(`Patch ${i} is out of order`, 'UNORDERED_BLOCKS');
+    }
+    if (patchSize > byteLength - patchOffset) {
+      throw new FormatError(`Patch ${i} size ${patchSize} does not fit in the document`, 'TRUNCATED');
+    }
+    previousAnchor = lastMatchingBlockIndex;
+
+    while (matchIndex < matchCount && blockAt(matchIndex) <= lastMatchingBlockIndex) {
+      yield nextMatch();
+    }
+
+    yield {
+      source: 'patch',
+      patchIndex: i,
+      data: view8.subarray(patchOffset, patchOffset + patchSize),
+      length: patchSize
+    };
+    patchOffset += patchSize;
+  }
+
+  while (matchIndex < matchCount) {
+    yield nextMatch();
+  }
+
+  if (patchOffset !== byteLength) {
+    throw new FormatError('Unexpected data after the last patch', 'TRAILING_DATA');
+  }
+}
+
+/**
+ * Read a patch's header and, for multi-source patches, its source table.
+ * `offset` is where the operations start.
+ */
+const readPatchPreamble = (patchDocument) => {
+  const header = expectDocument(patchDocument, DOC_PATCH);
+
+  if (!header) return { header, sources: null, offset: 0 };
+  if (header.flags & FLAG_MULTI_SOURCE) {
+    return { header, ...readSourceTable(patchDocument, HEADER_SIZE) };
+  }
+  return { header, sources: null, offset: HEADER_SIZE };
+};
+
+/**
+ * Walk a patch document in output order, yielding runs of matched blocks,
+ * literal runs and the integrity check. Every field is bounds-checked, so
+ * a malformed document raises a FormatError rather than a RangeError.
+ */
+function* readPatchOperations(patchDocument) {
+  const { header, sources, offset: start } = readPatchPreamble(patchDocument);
+
+  if (!header) {
+    yield* readLegacyPatchOperations(patchDocument);
+    return;
+  }
+
+  const { byteLength } = patchDocument;
+  const view = new DataView(patchDocument);
+  const bytes = new Uint8Array(patchDocument);
+  const wide = (header.flags & FLAG_WIDE) !== 0;
+  let offset = start;
+  let patchIndex = 0;
+  let hasCheck = false;
+
+  const need = (length) => {
+    if (length > byteLength - offset) {
+      throw new FormatError(`Patch document ends inside an operation at offset ${offset}`, 'TRUNCATED');
+    }
+  };
+
+  while (true) {
+    need(1);
+    const op = view.getUint8(offset++);
+
+    if (op === OP_END) {
+      if (offset !== byteLength) {
+        throw new FormatError('Unexpected data after the end of the patch', 'TRAILING_DATA');
+      }
+      return;
+    }
+
+    if ((op === OP_COPY && !sources) || (op === OP_COPY_SOURCE && sources)) {
+      let sourceId;
+      if (op === OP_COPY_SOURCE) {
+        need(4);
+        sourceId = view.getUint32(offset, true);
+        offset += 4;
+
+        if (sourceId >= sources.length) {
+          throw new FormatError(`Block run from unknown source ${sourceId}`, 'UNKNOWN_SOURCE');
+        }
+      }
+
+      let firstBlock;
+      let blockCount;
+      if (wide) {
+        need(16);
+        firstBlock = readUint64(view, offset, 'BLOCK_OUT_OF_RANGE');
+        blockCount = readUint64(view, offset + 8, 'BLOCK_OUT_OF_RANGE');
+        offset += 16;
+      } else {
+        need(8);
+        firstBlock = view.getUint32(offset, true);
+        blockCount = view.getUint32(offset + 4, true);
+        offset += 8;
+      }
+
+      if (firstBlock === 0 || blockCount === 0) {
+        throw new FormatError(`Invalid block run ${firstBlock}+${blockCount}`, 'INVALID_OPERATION');
+      }
+
+      yield { source: 'matched', sourceId, blockIndex: firstBlock, blockCount };
+      continue;
+    }
+
+    if (op === OP_COPY_RANGE && !sources) {
+      need(12);
+      const rangeOffset = readUint64(view, offset, 'BLOCK_OUT_OF_RANGE');
+      const length = view.getUint32(offset + 8, true);
+      offset += 12;
+
+      if (length === 0) {
+        throw new FormatError(`Invalid byte range ${rangeOffset}+${length}`, 'INVALID_OPERATION');
+      }
+
+      yield { source: 'matched', offset: rangeOffset, length };
+      continue;
+    }
+
+    if (op === OP_COPY_OUTPUT) {
+      need(12);
+      const outputOffset = readUint64(view, offset, 'INVALID_OPERATION');
+      const length = view.getUint32(offset + 8, true);
+      offset += 12;
+
+      if (length === 0) {
+        throw new FormatError(`Invalid output range ${outputOffset}+${length}`, 'INVALID_OPERATION');
+      }
+
+      yield { source: 'output', offset: outputOffset, length };
+      continue;
+    }
+
+    if (op === OP_LITERAL) {
+      need(4);
+      const length = view.getUint32(offset, true);
+      offset += 4;
+      need(length);
+
+      yield { source: 'patch', patchIndex: patchIndex++, data: bytes.subarray(offset, offset + length), length };
+      offset += length;
+      continue;
+    }
+
+    if (op === OP_LITERAL_COMPRESSED && header.compression !== COMPRESSION_NONE) {
+      need(8);
+      const length = view.getUint32(offset, true);
+      const compressedLength = view.getUint32(offset + 4, true);
+      offset += 8;
+
+      if (length === 0 || length > MAX_LITERAL_LENGTH) {
+        throw new FormatError(`Invalid compressed literal length ${length}`, 'INVALID_OPERATION');
+      }
+      need(compressedLength);
+
+      yield {
+        source: 'patch',
+        patchIndex: patchIndex++,
+        data: bytes.subarray(offset, offset + compressedLength),
+        length,
+        codec: header.compression
+      };
+      offset += compressedLength;
+      continue;
+    }
+
+    if (op === OP_CHECK) {
+      need(10);
+      const algorithm = view.getUint8(offset);
+      const digestLength = view.getUint8(offset + 1);
+      const outputLength = readUint64(view, offset + 2, 'OUTPUT_TOO_LARGE');
+      offset += 10;
+
+      if (hasCheck || digestLength !== createDigest(algorithm).outputLen) {
+        throw new FormatError('Invalid integrity check', 'INVALID_OPERATION');
+      }
+      need(digestLength);
+      hasCheck = true;
+
+      yield { source: 'check', algorithm, outputLength, digest: bytes.subarray(offset, offset + digestLength) };
+      offset += digestLength;
+      continue;
+    }
+
+    throw new FormatError(`Unknown patch operation ${op} at offset ${offset - 1}`, 'UNKNOWN_OPERATION');
+  }
+}
+
+/**
+ * Validate and summarize a patch document: block size, counts and whether
+ * the matched blocks are simply 1..n in order. Given the base data lengths
+ * (by source id), also checks every block index against them, checks that
+ * copies from the output only read bytes already written, and computes the
+ * exact size of the patched output. `outputCopies` lists the [offset,
+ * length] ranges those copies read.
+ */
+const describePatch = (patchDocument, baseLengthOf = null) => {
+  const { header, sources } = readPatchPreamble(patchDocument);
+  const blockSize = header ? header.blockSize : new DataView(patchDocument).getUint32(0, true);
+
+  let matchCount = 0;
+  let patchCount = 0;
+  let literalBytes = 0;
+  let copiedBytes = 0;
+  let sequential = true;
+  let check = null;
+  const outputCopies = [];
+  const usedSources = new Set();
+
+  for (const operation of readPatchOperations(patchDocument)) {
+    if (operation.source === 'output') {
+      const { offset, length } = operation;
+      if (baseLengthOf && offset + length > copiedBytes + literalBytes) {
+        throw new FormatError(
+          `Output bytes ${offset}-${offset + length} are read before they are written`,
+          'INVALID_OPERATION'
+        );
+      }
+
+      outputCopies.push([offset, length]);
+      copiedBytes += length;
+      sequential = false;
+      matchCount++;
+    } else if (operation.source === 'matched') {
+      const { sourceId, blockIndex, blockCount } = operation;
+      const lastIndex = blockIndex + blockCount - 1;
+      const baseLength = baseLengthOf?.(sourceId);
+      if (sourceId !== undefined) usedSources.add(sourceId);
+
+      if (baseLengthOf && baseLength === undefined) {
+        throw new Error(`No base data for source ${sourceId}`);
+      }
+
+      // Byte range copies, from patches against chunk documents
+      if (operation.offset !== undefined) {
+        const { offset, length } = operation;
+        if (baseLengthOf) {
+          if (offset + length > baseLength) {
+            throw new FormatError(
+              `Bytes ${offset}-${offset + length} are out of range: base data has ${baseLength} bytes`,
+              'BLOCK_OUT_OF_RANGE'
+            );
+          }
+          copiedBytes += length;
+        }
+
+        sequential = false;
+        matchCount++;
+        continue;
+      }
+
+      if (baseLengthOf) {
+        const numBlocks = Math.ceil(baseLength / blockSize);
+        if (lastIndex > numBlocks) {
+          throw new FormatError(
+            `Block ${lastIndex} is out of range: base data has ${numBlocks} blocks`,
+            'BLOCK_OUT_OF_RANGE'
+          );
+        }
+
+        // The base's last block may be short
+        copiedBytes += blockCount * blockSize -
+          (lastIndex === numBlocks ? numBlocks * blockSize - baseLength : 0);
+      }
+
+      if (sourceId !== undefined || blockIndex !== matchCount + 1) sequential = false;
+      matchCount += blockCount;
+    } else if (operation.source === 'patch') {
+      patchCount++;
+      literalBytes += operation.length;
+    } else {
+      check = operation;
+    }
+  }
+
+  return {
+    header,
+    blockSize,
+    fileLength: header ? header.fileLength : null,
+    sources,
+    matchCount,
+    patchCount,
+    literalBytes,
+    patchedLength: baseLengthOf ? copiedBytes + literalBytes : null,
+    sequential,
+    check,
+    outputCopies,
+    usedSources
+  };
+};
+
+/**
+ * Index the base data by source id: a single-source patch takes the base
+ * itself, a multi-source patch a Map or array of bases
+ */
+const collectBases = (sources, data) => {
+  if (!sources) return new Map([[undefined, data]]);
+  if (data instanceof Map) return data;
+
+  if (Array.isArray(data)) {
+    const bases = new Map();
+    data.forEach((base, sourceId) => bases.set(sourceId, base));
+    return bases;
+  }
+
+  throw new Error('Data for a multi-source patch must be a Map or array of base data by source id');
+};
+
+const checkOutputLimit = ({ patchedLength, check }, maxOutputSize) => {
+  if (check && check.outputLength > maxOutputSize) {
+    throw new FormatError(
+      `Patch claims ${check.outputLength} bytes of output, over the ${maxOutputSize} byte limit`,
+      'OUTPUT_TOO_LARGE'
+    );
+  }
+  if (patchedLength > maxOutputSize) {
+    throw new FormatError(
+      `Patched output would be ${patchedLength} bytes, over the ${maxOutputSize} byte limit`,
+      'OUTPUT_TOO_LARGE'
+    );
+  }
+};
+
+/**
+ * Check the base data against the length the patch was made for
+ */
+const checkBase = ({ fileLength, sources }, baseLengthOf) => {
+  const expected = sources
+    ? sources.map((length, sourceId) => [sourceId, length])
+    : [[undefined, fileLength]];
+
+  for (const [sourceId, length] of expected) {
+    const baseLength = baseLengthOf(sourceId);
+    if (length === null || baseLength === undefined || baseLength === length) continue;
+
+    return new IntegrityError(
+      `Base data${sourceId === undefined ? '' : ` for source ${sourceId}`} is ${baseLength} bytes, ` +
+      `but the patch was made for ${length} bytes`,
+      'BASE_LENGTH_MISMATCH'
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Check patched output against the patch's expected length and digest.
+ * `digest` is the incremental hash of everything that was written.
+ */
+const checkOutput = (check, outputLength, digest) => {
+  if (outputLength !== check.outputLength) {
+    return new IntegrityError(
+      `Patched output is ${outputLength} bytes, expected ${check.outputLength}`,
+      'LENGTH_MISMATCH'
+    );
+  }
+  if (!bytesEqual(digest.digest(), check.digest)) {
+    return new IntegrityError(
+      `Patched output does not match the source ${HASH_ALGORITHMS[check.algorithm]} digest`,
+      'DIGEST_MISMATCH'
+    );
+  }
+  return null;
+};
+
+const validateVerifyOption = (verify) => {
+  if (verify !== 'throw' && verify !== 'report' && verify !== false) {
+    throw new Error("verify must be 'throw', 'report' or false");
+  }
+};
+
+/**
+ * Apply patch with verification callbacks
+ * 
+ * @param {ArrayBuffer} patchDocument - Patch document
+ * @param {ArrayBuffer|Map<number, ArrayBuffer>|ArrayBuffer[]} data - Destination
+ *   data, or the peers' data by source id for a multi-source patch
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.onProgress - Progress callback
+ * @param {Function} options.onBlockApplied - Block applied callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {'throw'|'report'|false} options.verify - On a failed integrity
+ *   check, throw an IntegrityError (default), or return `{ data, verified }`
+ * @param {number} options.maxOutputSize - Reject patches that would produce
+ *   more bytes than this
+ * @param {boolean} options.undo - Also create the patch that turns the
+ *   result back into `data`, returned as `{ data, undoPatch }`
+ * @returns {ArrayBuffer|{ data: ArrayBuffer, verified?: boolean|null, undoPatch?: ArrayBuffer }}
+ *   Patched data
+ *
+ * VCDIFF patches (RFC 3284, default code table) are also accepted; their
+ * only integrity check is xdelta3's optional per-window Adler-32.
+ */
+export const applyPatch = (patchDocument, data, options = {}) => {
+  const {
+    onProgress,
+    onBlockApplied,
+    signal,
+    verify = 'throw',
+    maxOutputSize = Infinity,
+    undo = false
+  } = options;
+
+  if (!(patchDocument instanceof ArrayBuffer)) {
+    throw new Error('Patch document must be an ArrayBuffer');
+  }
+
+  validateVerifyOption(verify);
+
+  if (isVcdiff(patchDocument)) {
+    if (undo) {
+      throw new Error('Undo patches cannot be created for VCDIFF patches');
+    }
+    if (!(data instanceof ArrayBuffer)) {
+      throw new Error('Data must be an ArrayBuffer');
+    }
+    const { output, verified } = applyVcdiff(patchDocument, data, { onProgress, signal, verify, maxOutputSize });
+    return verify === 'report' ? { data: output, verified } : output;
+  }
+
+  const { header, sources } = readPatchPreamble(patchDocument);
+  if (undo && (!header || sources)) {
+    throw new Error('Undo patches can only be created for single-source patches with a header');
+  }
+
+  const bases = collectBases(sources, data);
+  for (const base of bases.values()) {
+    if (!(base instanceof ArrayBuffer)) {
+      throw new Error('Data must be an ArrayBuffer');
+    }
+  }
+  const baseLengthOf = (sourceId) => bases.get(sourceId)?.byteLength;
+
+  const patchInfo = describePatch(patchDocument, baseLengthOf);
+  const { blockSize, patchCount, matchCount, sequential, check } = patchInfo;
+  checkOutputLimit(patchInfo, maxOutputSize);
+
+  // Fail before doing any work when the base is clearly the wrong file
+  const baseError = verify ? checkBase(patchInfo, baseLengthOf) : null;
+  if (baseError && verify === 'throw') throw baseError;
+
+  const finish = (output) => {
+    let verified = null;
+    if (verify) {
+      let error = baseError;
+      if (!error && check) {
+        const digest = createDigest(check.algorithm);
+        digest.update(new Uint8Array(output));
+        error = checkOutput(check, output.byteLength, digest);
+      }
+
+      if (error && verify === 'throw') throw error;
+      verified = error ? false : (check ? true : null);
+    }
+
+    if (!undo && verify !== 'report') return output;
+    return {
+      data: output,
+      ...(verify === 'report' && { verified }),
+      ...(undo && { undoPatch: createUndoPatch(patchDocument, data) })
+    };
+  };
+
+  // Quick path: exact match
+  if (patchCount === 0 && sequential && matchCount === Math.ceil(data.byteLength / blockSize)) {
+    return finish(data);
+  }
+
+  const result = new BufferBuilder(patchInfo.patchedLength);
+  let blocksApplied = 0;
+
+  for (const operation of readPatchOperations(patchDocument)) {
+    if (signal?.aborted) {
+      throw new Error('Operation cancelled');
+    }
+
+    if (operation.source === 'check') continue;
+
+    if (operation.source === 'matched' && operation.offset !== undefined) {
+      const { offset, length } = operation;
+      result.append(new Uint8Array(bases.get(undefined), offset, length));
+      onBlockApplied?.({ blockIndex: null, offset, source: 'matched', size: length });
+      blocksApplied++;
+      continue;
+    }
+
+    if (operation.source === 'output') {
+      const { offset, length } = operation;
+      result.append(result.buffer.subarray(offset, offset + length));
+      onBlockApplied?.({ blockIndex: null, offset, source: 'output', size: length });
+      blocksApplied++;
+      continue;
+    }
+
+    if (operation.source === 'matched') {
+      const { sourceId, blockCount } = operation;
+      const base = bases.get(sourceId);
+
+      for (let blockIndex = operation.blockIndex; blockIndex < operation.blockIndex + blockCount; blockIndex++) {
+        const start = (blockIndex - 1) * blockSize;
+        const chunkSize = Math.min(blockSize, base.byteLength - start);
+        result.append(new Uint8Array(base, start, chunkSize));
+
+        if (onBlockApplied) {
+          onBlockApplied({
+            ...(sourceId !== undefined && { sourceId }),
+            blockIndex,
+            source: 'matched',
+            size: chunkSize
+          });
+        }
+      }
+
+      blocksApplied += blockCount;
+      continue;
+    }
+
+    const literal = decodeLiteral(operation);
+    result.append(literal);
+
+    if (onBlockApplied) {
+      onBlockApplied({
+        blockIndex: null,
+        source: 'patch',
+        size: literal.length
+      });
+    }
+
+    if (onProgress) {
+      onProgress({
+        phase: 'apply',
+        patchesApplied: operation.patchIndex + 1,
+        totalPatches: patchCount,
+        blocksApplied,
+        percent: ((operation.patchIndex + 1) / patchCount) * 100
+      });
+    }
+  }
+
+  if (onProgress) {
+    onProgress({
+      phase: 'apply',
+      patchesApplied: patchCount,
+      totalPatches: patchCount,
+      blocksApplied: matchCount,
+      percent: 100
+    });
+  }
+
+  return finish(result.toArrayBuffer());
+};
+
+/**
+ * Wrap the destination's old data in a random-access reader:
+ * { size, read(offset, length) => Uint8Array | Promise<Uint8Array> }
+ */
+const openRandomAccess = async (base) => {
+  if (base instanceof ArrayBuffer || ArrayBuffer.isView(base)) {
+    const view = base instanceof ArrayBuffer
+      ? new Uint8Array(base)
+      : new Uint8Array(base.buffer, base.byteOffset, base.byteLength);
+    return {
+      size: view.length,
+      read: (offset, length) => view.subarray(offset, offset + length)
+    };
+  }
+
+  if (typeof Blob !== 'undefined' && base instanceof Blob) {
+    return {
+      size: base.size,
+      read: async (offset, length) =>
+        new Uint8Array(await base.slice(offset, offset + length).arrayBuffer())
+    };
+  }
+
+  // OPFS FileSystemSyncAccessHandle
+  if (typeof base?.getSize === 'function' && typeof base.read === 'function') {
+    return {
+      size: base.getSize(),
+      read: (offset, length) => {
+        const buffer = new Uint8Array(length);
+        const bytesRead = base.read(buffer, { at: offset });
+        return buffer.subarray(0, bytesRead);
+      }
+    };
+  }
+
+  // Node fs/promises FileHandle
+  if (typeof base?.stat === 'function' && typeof base.read === 'function') {
+    const { size } = await base.stat();
+    return {
+      size,
+      read: async (offset, length) => {
+        const buffer = new Uint8Array(length);
+        const { bytesRead } = await base.read(buffer, 0, length, offset);
+        return buffer.subarray(0, bytesRead);
+      }
+    };
+  }
+
+  if (typeof base?.read === 'function' && Number.isFinite(base.size)) {
+    return base;
+  }
+
+  throw new Error(
+    'Base must be an ArrayBuffer, Blob, FileSystemSyncAccessHandle, FileHandle or { size, read } reader'
+  );
+};
+
+/**
+ * Adapt a WritableStream or { write, close?, abort? } object to one interface
+ */
+const openSink = (sink) => {
+  if (typeof sink?.getWriter === 'function') {
+    const writer = sink.getWriter();
+    return {
+      write: async (chunk) => {
+        await writer.ready;
+        await writer.write(chunk);
+      },
+      close: () => writer.close(),
+      abort: (reason) => writer.abort(reason),
+      release: () => writer.releaseLock()
+    };
+  }
+
+  if (typeof sink?.write === 'function') {
+    return {
+      write: async (chunk) => sink.write(chunk),
+      close: async () => sink.close?.(),
+      abort: async (reason) => sink.abort?.(reason),
+      release: () => {}
+    };
+  }
+
+  throw new Error('Sink must be a WritableStream or an object with a write method');
+};
+
+/**
+ * Keep the parts of a streamed output that copies from the output read
+ * back. `ranges` are the [offset, length] pairs those copies read;
+ * overlapping ones share a buffer.
+ */
+const createOutputCache = (ranges) => {
+  const kept = [];
+  for (const [offset, length] of [...ranges].sort((x, y) => x[0] - y[0])) {
+    const last = kept[kept.length - 1];
+    if (last && offset <= last.end) {
+      last.end = Math.max(last.end, offset + length);
+    } else {
+      kept.push({ start: offset, end: offset + length });
+    }
+  }
+  for (const range of kept) range.bytes = new Uint8Array(range.end - range.start);
+
+  // Index of the first kept range that ends after `position`
+  const rangeAfter = (position) => {
+    let low = 0;
+    let high = kept.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (kept[middle].end <= position) low = middle + 1; else high = middle;
+    }
+    return low;
+  };
+
+  return {
+    keep(position, chunk) {
+      const chunkEnd = position + chunk.length;
+      for (let r = rangeAfter(position); r < kept.length && kept[r].start < chunkEnd; r++) {
+        const { start, end, bytes } = kept[r];
+        const from = Math.max(start, position);
+        bytes.set(chunk.subarray(from - position, Math.min(end, chunkEnd) - position), from - start);
+      }
+    },
+
+    read(offset, length) {
+      const { start, bytes } = kept[rangeAfter(offset)];
+      return bytes.subarray(offset - start, offset - start + length);
+    }
+  };
+};
+
+/**
+ * Apply patch without loading the old data or collecting the result in
+ * memory. Matched blocks are read one at a time from a random-access base
+ * and every piece is written to the sink as soon as it is available, so
+ * peak memory stays near one block plus one literal run. Output ranges that
+ * the patch copies again later are also kept until the end.
+ *
+ * @param {ArrayBuffer} patchDocument - Patch document
+ * @param {ArrayBuffer|Blob|FileSystemSyncAccessHandle|FileHandle|Object} base - Destination
+ *   data, or a { size, read(offset, length) } reader; a Map or array of these
+ *   by source id for a multi-source patch
+ * @param {WritableStream|Object} sink - WritableStream or { write(chunk), close?(), abort?(reason) }
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.onProgress - Progress callback
+ * @param {Function} options.onBlockApplied - Block applied callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {boolean} options.preventClose - Leave the sink open when done
+ * @param {'throw'|'report'|false} options.verify - On a failed integrity
+ *   check, abort the sink and throw an IntegrityError (default), or just
+ *   report `verified: false`
+ * @param {number} options.maxOutputSize - Reject patches that would produce
+ *   more bytes than this
+ * @returns {Promise<{ bytesWritten: number, verified: boolean|null }>} Size
+ *   of the reconstructed data, and whether it passed the patch's checks
+ *   (null when the patch carries none)
+ */
+export const applyPatchStream = async (patchDocument, base, sink, options = {}) => {
+  const {
+    onProgress,
+    onBlockApplied,
+    signal,
+    preventClose = false,
+    verify = 'throw',
+    maxOutputSize = Infinity
+  } = options;
+
+  if (!(patchDocument instanceof ArrayBuffer)) {
+    throw new Error('Patch document must be an ArrayBuffer');
+  }
+  if (isVcdiff(patchDocument)) {
+    throw new Error('VCDIFF patches are applied with applyPatch');
+  }
+  validateVerifyOption(verify);
+
+  const readers = new Map();
+  for (const [sourceId, source] of collectBases(readPatchPreamble(patchDocument).sources, base)) {
+    readers.set(sourceId, await openRandomAccess(source));
+  }
+  const baseLengthOf = (sourceId) => readers.get(sourceId)?.size;
+
+  const patchInfo = describePatch(patchDocument, baseLengthOf);
+  const { blockSize, patchCount, matchCount, check, outputCopies } = patchInfo;
+  checkOutputLimit(patchInfo, maxOutputSize);
+
+  const baseError = verify ? checkBase(patchInfo, baseLengthOf) : null;
+  if (baseError && verify === 'throw') throw baseError;
+
+  const writer = openSink(sink);
+  const digest = verify && check ? createDigest(check.algorithm) : null;
+  const cache = outputCopies.length > 0 ? createOutputCache(outputCopies) : null;
+
+  let blocksApplied = 0;
+  let bytesWritten = 0;
+  let verified = null;
+
+  const write = async (chunk) => {
+    cache?.keep(bytesWritten, chunk);
+    await writer.write(chunk);
+    digest?.update(chunk);
+    bytesWritten += chunk.length;
+  };
+
+  try {
+    for (const operation of readPatchOperations(patchDocument)) {
+      if (signal?.aborted) {
+        throw new Error('Operation cancelled');
+      }
+
+      if (operation.source === 'check') continue;
+
+      if (operation.source === 'matched' && operation.offset !== undefined) {
+        const { offset, length } = operation;
+        const reader = readers.get(undefined);
+
+        // Merged ranges can be long, so they are read in bounded pieces
+        for (let done = 0; done < length;) {
+          const size = Math.min(length - done, MAX_BLOCK_SIZE);
+          const chunk = await reader.read(offset + done, size);
+          if (chunk.length !== size) {
+            throw new Error(`Base data ended before byte ${offset + done + size}`);
+          }
+
+          await write(chunk);
+          done += size;
+        }
+
+        onBlockApplied?.({ blockIndex: null, offset, source: 'matched', size: length });
+        blocksApplied++;
+        continue;
+      }
+
+      if (operation.source === 'output') {
+        const { offset, length } = operation;
+        await write(cache.read(offset, length));
+
+        onBlockApplied?.({ blockIndex: null, offset, source: 'output', size: length });
+        blocksApplied++;
+        continue;
+      }
+
+      if (operation.source === 'matched') {
+        const { sourceId, blockCount } = operation;
+        const reader = readers.get(sourceId);
+
+        for (let blockIndex = operation.blockIndex; blockIndex < operation.blockIndex + blockCount; blockIndex++) {
+          const start = (blockIndex - 1) * blockSize;
+          const chunkSize = Math.min(blockSize, reader.size - start);
+          const chunk = await reader.read(start, chunkSize);
+
+          if (chunk.length !== chunkSize) {
+            throw new Error(`Base data ended before block ${blockIndex}`);
+          }
+
+          await write(chunk);
+
+          if (onBlockApplied) {
+            onBlockApplied({
+              ...(sourceId !== undefined && { sourceId }),
+              blockIndex,
+              source: 'matched',
+              size: chunkSize
+            });
+          }
+        }
+
+        blocksApplied += blockCount;
+        continue;
+      }
+
+      const literal = await decodeLiteralAsync(operation);
+      await write(literal);
+
+      if (onBlockApplied) {
+        onBlockApplied({
+          blockIndex: null,
+          source: 'patch',
+          size: literal.length
+        });
+      }
+
+      if (onProgress) {
+        onProgress({
+          phase: 'apply',
+          patchesApplied: operation.patchIndex + 1,
+          totalPatches: patchCount,
+          blocksApplied,
+          percent: ((operation.patchIndex + 1) / patchCount) * 100
+        });
+      }
+    }
+
+    if (verify) {
+      const error = baseError ?? (check ? checkOutput(check, bytesWritten, digest) : null);
+      if (error && verify === 'throw') throw error;
+      verified = error ? false : (check ? true : null);
+    }
+
+    if (!preventClose) await writer.close();
+  } catch (err) {
+    await writer.abort(err).catch(() => {});
+    throw err;
+  } finally {
+    writer.release();
+  }
+
+  if (onProgress) {
+    onProgress({
+      phase: 'apply',
+      patchesApplied: patchCount,
+      totalPatches: patchCount,
+      blocksApplied: matchCount,
+      percent: 100
+    });
+  }
+
+  return { bytesWritten, verified };
+};
+
+/**
+ * Whether applyPatchStream can write a patch's output over its own base,
+ * as rsync's --inplace does. The output is written front to back, so this
+ * holds when every copy from the base reads from at or after the position
+ * it is written to: the bytes it needs have not been overwritten yet.
+ * Copies from the output read bytes applyPatchStream keeps, and literals
+ * read nothing. Multi-source patches can't be applied in place.
+ *
+ * @param {ArrayBuffer} patchDocument - Patch document
+ * @param {number} baseLength - Size of the data the patch applies to
+ * @returns {boolean} True if the patch can be applied in place
+ */
+export const canPatchInPlace = (patchDocument, baseLength) => {
+  if (!(patchDocument instanceof ArrayBuffer)) {
+    throw new Error('Patch document must be an ArrayBuffer');
+  }
+  if (isVcdiff(patchDocument) || readPatchPreamble(patchDocument).sources) {
+    return false;
+  }
+
+  const { blockSize } = describePatch(patchDocument, () => baseLength);
+  let position = 0;
+
+  for (const operation of readPatchOperations(patchDocument)) {
+    if (operation.source === 'check') continue;
+
+    if (operation.source === 'patch' || operation.source === 'output') {
+      position += operation.length;
+      continue;
+    }
+
+    const offset = operation.offset ?? (operation.blockIndex - 1) * blockSize;
+    if (offset < position) return false;
+    position += operation.offset === undefined
+      ? Math.min(operation.blockCount * blockSize, baseLength - offset)
+      : operation.length;
+  }
+
+  return true;
+};
+
+/**
+ * Split the target file described by a single-source checksum or chunk
+ * document into units (blocks or chunks) with their strong hashes
+ */
+const readTargetUnits = (document) => {
+  if (readHeader(document)?.type === DOC_CHUNKS) {
+    const { fileLength, hashAlgorithm, hashLength, chunks } = readChunkDocument(document);
+    return { fileLength, hashAlgorithm, hashLength, check: null, units: chunks };
+  }
+
+  const { fileLength, blockSize, hashAlgorithm, hashLength, sources, check, entries } = readChecksumDocument(document);
+  if (sources) {
+    throw new Error('Range sync needs the checksum document of a single file, not a merged one');
+  }
+  if (fileLength === null) {
+    throw new Error('Range sync needs a checksum document that records the file length');
+  }
+
+  const units = entries.map(([, hash], i) => ({
+    offset: i * blockSize,
+    length: Math.min(blockSize, fileLength - i * blockSize),
+    hash
+  }));
+  return { fileLength, hashAlgorithm, hashLength, check, units };
+};
+
+/**
+ * Find which units of the target file are already in the local data, and
+ * where. The local data is matched against the target's document exactly
+ * like a patch source; each copy in the resulting patch puts target bytes
+ * at the current local offset.
+ */
+const matchLocalData = (targetDocument, localData, options) => {
+  const target = readTargetUnits(targetDocument);
+  const { units } = target;
+  const localOffsets = new Float64Array(units.length).fill(-1);
+  const unitAt = new Map(units.map(({ offset }, i) => [offset, i]));
+
+  const patch = createPatchDocument(targetDocument, localData, {
+    onProgress: options.onProgress,
+    signal: options.signal,
+    digest: false
+  });
+
+  let localOffset = 0;
+  for (const operation of readPatchOperations(patch)) {
+    if (operation.source === 'check') continue;
+    if (operation.source === 'patch') {
+      localOffset += operation.length;
+      continue;
+    }
+
+    // A run of whole units, starting at a block index or a byte offset
+    let unit = operation.offset === undefined ? operation.blockIndex - 1 : unitAt.get(operation.offset);
+    const end = operation.offset === undefined
+      ? unit + operation.blockCount
+      : operation.offset + operation.length;
+
+    while (unit < units.length && (operation.offset === undefined ? unit < end : units[unit].offset < end)) {
+      if (localOffsets[unit] === -1) localOffsets[unit] = localOffset;
+      localOffset += units[unit].length;
+      unit++;
+    }
+  }
+
+  // Consecutive missing units are fetched as one range
+  const ranges = [];
+  units.forEach(({ offset, length }, i) => {
+    if (localOffsets[i] !== -1) return;
+
+    const last = ranges[ranges.length - 1];
+    if (last && last.offset + last.length === offset) {
+      last.length += length;
+    } else {
+      ranges.push({ offset, length });
+    }
+  });
+
+  return { ...target, localOffsets, ranges };
+};
+
+/**
+ * Plan a reverse (zsync-style) sync: match local data against the published
+ * checksum or chunk document of the new file and list the byte ranges of
+ * the new file that have to be fetched.
+ *
+ * @param {ArrayBuffer} checksumDocument - Checksum or chunk document of the new file
+ * @param {ArrayBuffer} localData - The old local copy
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.onProgress - Progress callback for the matching pass
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @returns {{ fileLength: number, ranges: Array<{ offset: number, length: number }>,
+ *   bytesLocal: number, bytesToFetch: number }} Missing ranges of the new file
+ */
+export const planRangeSync = (checksumDocument, localData, options = {}) => {
+  if (!(checksumDocument instanceof ArrayBuffer)) {
+    throw new Error('Checksum document must be an ArrayBuffer');
+  }
+  if (!(localData instanceof ArrayBuffer)) {
+    throw new Error('Data must be an ArrayBuffer');
+  }
+
+  const { fileLength, ranges } = matchLocalData(checksumDocument, localData, options);
+  const bytesToFetch = ranges.reduce((sum, { length }) => sum + length, 0);
+
+  return {
+    fileLength,
+    ranges: ranges.map(range => ({ ...range })),
+    bytesLocal: fileLength - bytesToFetch,
+    bytesToFetch
+  };
+};
+
+/**
+ * Reverse (zsync-style) sync: rebuild the new file from the old local copy
+ * plus byte ranges fetched from wherever the new file is published, e.g.
+ * with HTTP Range requests. Every fetched block or chunk is checked against
+ * the document's strong hash, and the whole result against its digest when
+ * the document carries one.
+ *
+ * @param {ArrayBuffer} checksumDocument - Checksum or chunk document of the new file
+ * @param {ArrayBuffer} localData - The old local copy
+ * @param {Function} fetchRange - `(offset, length, { signal }) => bytes` returning
+ *   (a promise of) an ArrayBuffer or Uint8Array with that range of the new file
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @returns {Promise<ArrayBuffer>} The new file
+ */
+export const syncFromRanges = async (checksumDocument, localData, fetchRange, options = {}) => {
+  const { onProgress, signal } = options;
+
+  if (!(checksumDocument instanceof ArrayBuffer)) {
+    throw new Error('Checksum document must be an ArrayBuffer');
+  }
+  if (!(localData instanceof ArrayBuffer)) {
+    throw new Error('Data must be an ArrayBuffer');
+  }
+  if (typeof fetchRange !== 'function') {
+    throw new Error('fetchRange must be a function');
+  }
+
+  const { fileLength, hashAlgorithm, hashLength, check, units, localOffsets, ranges } =
+    matchLocalData(checksumDocument, localData, options);
+  const output = new Uint8Array(fileLength);
+  const local = new Uint8Array(localData);
+
+  units.forEach(({ offset, length }, i) => {
+    if (localOffsets[i] !== -1) {
+      output.set(local.subarray(localOffsets[i], localOffsets[i] + length), offset);
+    }
+  });
+
+  const bytesToFetch = ranges.reduce((sum, { length }) => sum + length, 0);
+  let bytesFetched = 0;
+  let unit = 0;
+
+  for (const { offset, length } of ranges) {
+    if (signal?.aborted) {
+      throw new Error('Operation cancelled');
+    }
+
+    const fetched = await fetchRange(offset, length, { signal });
+    const bytes = fetched instanceof ArrayBuffer ? new Uint8Array(fetched) : fetched;
+    if (!(bytes instanceof Uint8Array) || bytes.length !== length) {
+      throw new IntegrityError(
+        `Range ${offset}+${length} came back as ${bytes?.length ?? 'no'} bytes`,
+        'LENGTH_MISMATCH'
+      );
+    }
+    output.set(bytes, offset);
+
+    while (units[unit].offset < offset) unit++;
+    for (; unit < units.length && units[unit].offset < offset + length; unit++) {
+      const { offset: start, length: size, hash } = units[unit];
+      if (!bytesEqual(strongHash(output.subarray(start, start + size), hashLength, hashAlgorithm), hash)) {
+        throw new IntegrityError(`Fetched bytes ${start}-${start + size} don't match the checksum document`, 'RANGE_MISMATCH');
+      }
+    }
+
+    bytesFetched += length;
+    onProgress?.({
+      phase: 'fetch',
+      bytesFetched,
+      totalBytes: bytesToFetch,
+      percent: (bytesFetched / bytesToFetch) * 100
+    });
+  }
+
+  if (check) {
+    const digest = createDigest(check.algorithm);
+    digest.update(output);
+    const error = checkOutput(check, output.length, digest);
+    if (error) throw error;
+  }
+
+  return output.buffer;
+};
+
+/**
+ * Merge multiple checksum documents (for multi-peer scenarios)
+ *
+ * Every block keeps its origin: the merged document is multi-source, with
+ * source ids numbered by argument position (a merged input contributes all
+ * of its sources in order). Patches made against it record which source
+ * and block each match came from, and are applied with the peers' data by
+ * source id.
+ * 
+ * @param {...ArrayBuffer} checksumDocs - Checksum documents to merge
+ * @returns {ArrayBuffer} Merged checksum document
+ */
+export const mergeChecksumDocuments = (...checksumDocs) => {
+  if (checksumDocs.length === 0) {
+    throw new Error('At least one checksum document required');
+  }
+
+  const documents = checksumDocs.map(readChecksumDocument);
+  const { blockSize, hashAlgorithm, hashLength } = documents[0];
+
+  if (!documents.every(doc => doc.blockSize === blockSize)) {
+    throw new Error('All checksum documents must have the same block size');
+  }
+  if (!documents.every(doc => doc.hashAlgorithm === hashAlgorithm && doc.hashLength === hashLength)) {
+    throw new Error('All checksum documents must have the same strong hash and hash length');
+  }
+
+  const sources = [];
+  const blockMap = new Map();
+
+  for (const doc of documents) {
+    const firstSource = sources.length;
+    sources.push(...(doc.sources ?? [doc.fileLength]));
+
+    // Identical blocks are kept once, from the first source that has them
+    for (const [adler, hash, blockIndex, sourceId = 0] of doc.entries) {
+      const key = `${adler}-${hash.join(',')}`;
+      if (!blockMap.has(key)) {
+        blockMap.set(key, [adler, hash, blockIndex, firstSource + sourceId]);
+      }
+    }
+  }
+
+  const sourceTable = encodeSourceTable(sources);
+  const numBlocks = blockMap.size;
+  const wide = needsWideLayout(...sources);
+  const indexSize = wide ? 8 : 4;
+  const entrySize = 8 + indexSize + hashLength;
+  const bodyOffset = HEADER_SIZE + sourceTable.length;
+  const doc = new ArrayBuffer(bodyOffset + indexSize + (numBlocks * entrySize));
+  const docView = new DataView(doc);
+  const docBytes = new Uint8Array(doc);
+
+  // The merged blocks don't describe any single file
+  docBytes.set(encodeHeader({
+    type: DOC_CHECKSUM,
+    hashAlgorithm,
+    hashLength,
+    flags: FLAG_MULTI_SOURCE | (wide ? FLAG_WIDE : 0),
+    fileLength: null,
+    blockSize
+  }));
+  docBytes.set(sourceTable, HEADER_SIZE);
+
+  let offset = writeBlockNumber(docView, bodyOffset, numBlocks, wide);
+  for (const [adler, hash, blockIndex, sourceId] of blockMap.values()) {
+    docView.setUint32(offset, sourceId, true);
+    const adlerOffset = writeBlockNumber(docView, offset + 4, blockIndex, wide);
+    docView.setUint32(adlerOffset, adler, true);
+    docBytes.set(hash, adlerOffset + 4);
+    offset += entrySize;
+  }
+
+  return doc;
+};
+
+/**
+ * Join the checksum documents of consecutive slices of one file into the
+ * document of the whole file, identical to checksumming it in one go.
+ * Every slice but the last must be a whole number of blocks. Slice digests
+ * can't be combined, so the result carries none.
+ *
+ * @param {...ArrayBuffer} checksumDocs - Checksum documents of the slices, in order
+ * @returns {ArrayBuffer} Checksum document of the whole file
+ */
+export const concatChecksumDocuments = (...checksumDocs) => {
+  if (checksumDocs.length === 0) {
+    throw new Error('At least one checksum document required');
+  }
+
+  const documents = checksumDocs.map(readChecksumDocument);
+  const { blockSize, hashAlgorithm, hashLength } = documents[0];
+  let fileLength = 0;
+
+  documents.forEach((doc, i) => {
+    if (!doc.header || doc.sources) {
+      throw new Error('Only single-source checksum documents can be concatenated');
+    }
+    if (doc.blockSize !== blockSize || doc.hashAlgorithm !== hashAlgorithm || doc.hashLength !== hashLength) {
+      throw new Error('All checksum documents must have the same block size, strong hash and hash length');
+    }
+    if (i < documents.length - 1 && (doc.fileLength === null || doc.fileLength % blockSize !== 0)) {
+      throw new Error(`Checksum document ${i} does not end on a block boundary`);
+    }
+    fileLength = doc.fileLength === null ? null : fileLength + doc.fileLength;
+  });
+
+  const numBlocks = documents.reduce((sum, doc) => sum + doc.numBlocks, 0);
+  const wide = needsWideLayout(fileLength);
+  const entrySize = 4 + hashLength;
+  const doc = new ArrayBuffer(HEADER_SIZE + (wide ? 8 : 4) + (numBlocks * entrySize));
+  const docView = new DataView(doc);
+  const docBytes = new Uint8Array(doc);
+
+  docBytes.set(encodeHeader({
+    type: DOC_CHECKSUM,
+    hashAlgorithm,
+    hashLength,
+    flags: wide ? FLAG_WIDE : 0,
+    fileLength,
+    blockSize
+  }));
+
+  let offset = writeBlockNumber(docView, HEADER_SIZE, numBlocks, wide);
+  for (const { entries } of documents) {
+    for (const [adler, hash] of entries) {
+      docView.setUint32(offset, adler, true);
+      docBytes.set(hash, offset + 4);
+      offset += entrySize;
+    }
+  }
+
+  return doc;
+};
+
+/**
+ * Map each block of the new data to the old block it is known to equal
+ * (0-based), or -1. Edits are { offset, length, oldLength } in new-data
+ * coordinates, in order: `oldLength` old bytes were replaced by `length`
+ * new ones (oldLength defaults to length). An unchanged block is reused when
+ * it still starts on an old block boundary, so insertions and deletions of
+ * whole blocks shift the old entries along.
+ */
+const reusableBlocksFromEdits = (old, newLength, edits) => {
+  const { blockSize, fileLength: oldLength } = old;
+  const blockLength = (length, i) => Math.min(blockSize, length - i * blockSize);
+  const reuse = new Float64Array(Math.ceil(newLength / blockSize)).fill(-1);
+
+  // Unchanged [start, end) spans of the new data, each with its shift
+  // relative to the old data
+  const spans = [];
+  let position = 0;
+  let shift = 0;
+  for (const { offset, length, oldLength: removed = length } of edits) {
+    if (![offset, length, removed].every(n => Number.isInteger(n) && n >= 0) || offset < position) {
+      throw new Error('Changed ranges must be non-overlapping { offset, length, oldLength } in ascending order');
+    }
+    spans.push([position, offset, shift]);
+    position = offset + length;
+    shift += length - removed;
+  }
+  spans.push([position, newLength, shift]);
+
+  if (position > newLength || newLength - shift !== oldLength) {
+    throw new Error(`Changed ranges don't account for the change from ${oldLength} to ${newLength} bytes`);
+  }
+
+  for (const [start, end, spanShift] of spans) {
+    for (let i = Math.ceil(start / blockSize); i * blockSize < end; i++) {
+      const length = blockLength(newLength, i);
+      const oldStart = i * blockSize - spanShift;
+      const oldIndex = oldStart / blockSize;
+
+      if (i * blockSize + length > end) break;
+      if (Number.isInteger(oldIndex) && oldStart + length <= oldLength && blockLength(oldLength, oldIndex) === length) {
+        reuse[i] = oldIndex;
+      }
+    }
+  }
+
+  return reuse;
+};
+
+/**
+ * Map new blocks to old ones from the patch that produced the new data:
+ * a copied old block lands on a new block when the copy starts on a block
+ * boundary of the output and the lengths agree
+ */
+const reusableBlocksFromPatch = (old, newLength, patchDocument) => {
+  const { blockSize, fileLength: oldLength } = old;
+  const { header, sources, patchedLength } = describePatch(patchDocument, () => oldLength);
+
+  if (!header || sources || header.blockSize !== blockSize || header.fileLength !== oldLength) {
+    throw new Error('The patch was not made against this checksum document');
+  }
+  if (patchedLength !== newLength) {
+    throw new Error(`New data is ${newLength} bytes, but the patch produces ${patchedLength}`);
+  }
+
+  const reuse = new Float64Array(Math.ceil(newLength / blockSize)).fill(-1);
+  let position = 0;
+
+  for (const operation of readPatchOperations(patchDocument)) {
+    if (operation.source === 'check') continue;
+    if (operation.source === 'patch' || operation.offset !== undefined) {
+      position += operation.length;
+      continue;
+    }
+
+    for (let index = operation.blockIndex - 1; index < operation.blockIndex - 1 + operation.blockCount; index++) {
+      const length = Math.min(blockSize, oldLength - index * blockSize);
+      const i = position / blockSize;
+      if (Number.isInteger(i) && Math.min(blockSize, newLength - position) === length) {
+        reuse[i] = index;
+      }
+      position += length;
+    }
+  }
+
+  return reuse;
+};
+
+/**
+ * Update a checksum document after the data it describes has changed,
+ * checksumming only the blocks that may differ. The changes are given as
+ * either the edited ranges, or the patch just applied to the old data;
+ * blocks the patch copied into block-aligned positions keep their entries.
+ * The result equals createChecksumDocument over the new data with the old
+ * block size and strong hash, provided the changes are described accurately.
+ *
+ * @param {ArrayBuffer} checksumDocument - Checksum document of the old data
+ * @param {ArrayBuffer} data - The new data
+ * @param {Array<{ offset: number, length: number, oldLength?: number }>|ArrayBuffer} changes -
+ *   Edited ranges in new-data coordinates, in order (`oldLength` old bytes
+ *   replaced by `length` new ones), or the patch that turned the old data
+ *   into the new
+ * @param {Object} options - Optional configuration
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {'blake2s'|'sha256'|false} options.digest - Whole-file digest to
+ *   embed; this reads all of the new data (default false)
+ * @returns {ArrayBuffer} Checksum document of the new data
+ */
+export const updateChecksumDocument = (checksumDocument, data, changes, options = {}) => {
+  if (!(checksumDocument instanceof ArrayBuffer)) {
+    throw new Error('Checksum document must be an ArrayBuffer');
+  }
+  if (!(data instanceof ArrayBuffer)) {
+    throw new Error('Data must be an ArrayBuffer');
+  }
+
+  const old = readChecksumDocument(checksumDocument);
+  if (!old.header || old.sources) {
+    throw new Error('Only single-source checksum documents with a header can be updated');
+  }
+
+  let reuse;
+  if (changes instanceof ArrayBuffer) {
+    reuse = reusableBlocksFromPatch(old, data.byteLength, changes);
+  } else if (Array.isArray(changes)) {
+    reuse = reusableBlocksFromEdits(old, data.byteLength, changes);
+  } else {
+    throw new Error('Changes must be an array of changed ranges or a patch document');
+  }
+
+  // Keep the old strong hash so unchanged entries can be carried over
+  const hash = STRONG_HASHES[old.hashAlgorithm].name;
+  return buildChecksumDocument(old.blockSize, data, { ...options, hash, hashLength: old.hashLength }, (i) => (
+    reuse[i] !== -1 ? old.entries[reuse[i]] : null
+  ));
+};
+
+/**
+ * Encoder for patches built from byte-range copies and literal bytes, with
+ * contiguous copies merged and literal bytes gathered into capped runs.
+ * `finish(check)` ends the document with an optional { algorithm,
+ * outputLength, digest } check.
+ */
+const createRangePatchWriter = ({ hashAlgorithm, hashLength, compression, fileLength, blockSize }) => {
+  const output = new BufferBuilder(8192);
+  output.append(encodeHeader({
+    type: DOC_PATCH,
+    hashAlgorithm,
+    hashLength,
+    compression,
+    flags: needsWideLayout(fileLength) ? FLAG_WIDE : 0,
+    fileLength,
+    blockSize
+  }));
+
+  // Pending byte range of the base, and pending literal bytes
+  let copyStart = 0;
+  let copyLength = 0;
+  const literal = new BufferBuilder(MAX_LITERAL_LENGTH);
+
+  const flushCopy = () => {
+    if (copyLength === 0) return;
+    output.appendUint8(OP_COPY_RANGE);
+    output.appendUint64(copyStart);
+    output.appendUint32(copyLength);
+    copyLength = 0;
+  };
+
+  const flushLiteral = () => {
+    if (literal.length === 0) return;
+    const data = literal.buffer.subarray(0, literal.length);
+    const compressed = compression !== COMPRESSION_NONE && data.length >= MIN_COMPRESSED_LITERAL
+      ? LITERAL_CODECS[compression].compress(data)
+      : null;
+    appendLiteral(output, data, compressed);
+    literal.length = 0;
+  };
+
+  return {
+    addCopy(offset, length) {
+      flushLiteral();
+      if (copyLength > 0 && copyStart + copyLength === offset && copyLength + length <= MAX_UINT32) {
+        copyLength += length;
+        return;
+      }
+      flushCopy();
+      copyStart = offset;
+      copyLength = length;
+    },
+
+    addLiteral(data) {
+      flushCopy();
+      for (let taken = 0; taken < data.length;) {
+        const count = Math.min(data.length - taken, MAX_LITERAL_LENGTH - literal.length);
+        literal.append(data.subarray(taken, taken + count));
+        taken += count;
+        if (literal.length === MAX_LITERAL_LENGTH) flushLiteral();
+      }
+    },
+
+    finish(check = null) {
+      flushLiteral();
+      flushCopy();
+
+      if (check) {
+        output.appendUint8(OP_CHECK);
+        output.appendUint8(check.algorithm);
+        output.appendUint8(check.digest.length);
+        output.appendUint64(check.outputLength);
+        output.append(check.digest);
+      }
+      output.appendUint8(OP_END);
+
+      return output.toArrayBuffer();
+    }
+  };
+};
+
+/**
+ * Visit the segments under [start, start + length) of a laid-out output:
+ * `visit(source, skip, count)` for each, with the part of it that is covered
+ */
+const forEachSegment = (segments, start, length, visit) => {
+  let low = 0;
+  let high = segments.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >>> 1;
+    if (segments[middle][0] <= start) low = middle; else high = middle - 1;
+  }
+
+  for (let i = low, position = start, end = start + length; position < end; i++) {
+    const [segmentStart, segmentLength, source] = segments[i];
+    const skip = position - segmentStart;
+    const count = Math.min(segmentLength - skip, end - position);
+    visit(source, skip, count);
+    position += count;
+  }
+};
+
+/**
+ * Lay a patch's output out as segments: [outputStart, length, baseOffset]
+ * for bytes copied from the base, [outputStart, length, literal] for
+ * literal bytes. Block runs become byte ranges of the base, and copies from
+ * the output are resolved to the segments they read.
+ */
+const patchSegments = (patchDocument, baseLength) => {
+  const { blockSize, patchedLength, check } = describePatch(patchDocument, () => baseLength);
+  const segments = [];
+  let position = 0;
+
+  for (const operation of readPatchOperations(patchDocument)) {
+    if (operation.source === 'check') continue;
+
+    if (operation.source === 'patch') {
+      segments.push([position, operation.length, decodeLiteral(operation)]);
+      position += operation.length;
+      continue;
+    }
+
+    if (operation.source === 'output') {
+      forEachSegment(segments, operation.offset, operation.length, (source, skip, count) => {
+        segments.push([position, count, typeof source === 'number' ? source + skip : source.subarray(skip, skip + count)]);
+        position += count;
+      });
+      continue;
+    }
+
+    const offset = operation.offset ?? (operation.blockIndex - 1) * blockSize;
+    const length = operation.offset === undefined
+      ? Math.min(operation.blockCount * blockSize, baseLength - offset)
+      : operation.length;
+    segments.push([position, length, offset]);
+    position += length;
+  }
+
+  return { segments, patchedLength, check };
+};
+
+/**
+ * Build the patch that turns a patch's output back into its base. Old bytes
+ * the patch copied are copied back from wherever they landed in the output
+ * (choosing the copy that reaches furthest); old bytes it dropped are sent
+ * as literals. Ends with a digest of the base.
+ */
+const createUndoPatch = (patchDocument, base) => {
+  const { header } = readPatchPreamble(patchDocument);
+  const { segments, patchedLength, check } = patchSegments(patchDocument, base.byteLength);
+  const old = new Uint8Array(base);
+
+  // [oldStart, oldEnd, outputStart] of every copy, by position in the base
+  const copies = segments
+    .filter(([, , source]) => typeof source === 'number')
+    .map(([outputStart, length, offset]) => [offset, offset + length, outputStart])
+    .sort((a, b) => a[0] - b[0]);
+
+  const writer = createRangePatchWriter({
+    hashAlgorithm: header.hashAlgorithm,
+    hashLength: header.hashLength,
+    compression: header.compression,
+    fileLength: patchedLength,
+    blockSize: header.blockSize
+  });
+
+  let position = 0;
+  let next = 0;
+  let best = null;
+  while (position < old.length) {
+    while (next < copies.length && copies[next][0] <= position) {
+      if (!best || copies[next][1] > best[1]) best = copies[next];
+      next++;
+    }
+
+    if (best && best[1] > position) {
+      writer.addCopy(best[2] + position - best[0], best[1] - position);
+      position = best[1];
+    } else {
+      const end = next < copies.length ? copies[next][0] : old.length;
+      writer.addLiteral(old.subarray(position, end));
+      position = end;
+    }
+  }
+
+  const algorithm = check ? check.algorithm : digestAlgorithmId(DEFAULT_DIGEST);
+  const digest = createDigest(algorithm);
+  digest.update(old);
+  return writer.finish({ algorithm, outputLength: old.length, digest: digest.digest() });
+};
+
+/**
+ * Compose two patches into one: applying the result to the base of
+ * `patchA` gives the same output as applying `patchA` and then `patchB`.
+ * Bytes `patchB` copies are traced back through `patchA` to either the
+ * original base, copied as byte ranges, or `patchA`'s literal data. The
+ * integrity check of `patchB` is kept, as it describes the final output.
+ *
+ * @param {ArrayBuffer} patchA - Patch from the first version to the second
+ * @param {ArrayBuffer} patchB - Patch from the second version to the third
+ * @param {Object} options - Optional configuration
+ * @param {'deflate'|'gzip'|false} options.compression - Literal run
+ *   compression (default false)
+ * @returns {ArrayBuffer} Patch from the first version to the third
+ */
+export const composePatches = (patchA, patchB, options = {}) => {
+  if (!(patchA instanceof ArrayBuffer) || !(patchB instanceof ArrayBuffer)) {
+    throw new Error('Patch documents must be ArrayBuffers');
+  }
+
+  const { header, sources } = readPatchPreamble(patchA);
+  const second = readPatchPreamble(patchB);
+  if (!header || !second.header || sources || second.sources) {
+    throw new Error('Only single-source patches with a header can be composed');
+  }
+  if (header.fileLength === null) {
+    throw new Error('The first patch does not record the length of its base');
+  }
+
+  const { segments, patchedLength } = patchSegments(patchA, header.fileLength);
+  if (second.header.fileLength !== null && second.header.fileLength !== patchedLength) {
+    throw new Error('The second patch was not made against the output of the first');
+  }
+
+  const writer = createRangePatchWriter({
+    hashAlgorithm: header.hashAlgorithm,
+    hashLength: header.hashLength,
+    compression: options.compression ? compressionCodecId(options.compression) : COMPRESSION_NONE,
+    fileLength: header.fileLength,
+    blockSize: header.blockSize
+  });
+
+  // Trace each piece of patchB's output through patchA
+  const { segments: segmentsB, check } = patchSegments(patchB, patchedLength);
+  for (const [, length, source] of segmentsB) {
+    if (typeof source !== 'number') {
+      writer.addLiteral(source);
+      continue;
+    }
+
+    forEachSegment(segments, source, length, (origin, skip, count) => {
+      if (typeof origin === 'number') {
+        writer.addCopy(origin + skip, count);
+      } else {
+        writer.addLiteral(origin.subarray(skip, skip + count));
+      }
+    });
+  }
+
+  return writer.finish(check);
+};
+
+/**
+ * Versions of one document kept as a single full copy (the base) plus
+ * patches: forward patches for versions added after the base, reverse
+ * patches for the ones before it. Rebuilding a version composes the patches
+ * between it and the base and applies the result once. Every
+ * `rebaseInterval` versions the base moves to the latest version, turning
+ * the forward patches into reverse ones, so recent versions stay cheap.
+ */
+export class VersionStore {
+  /**
+   * @param {ArrayBuffer} data - The first version (version 0)
+   * @param {Object} options - Optional configuration
+   * @param {number} options.blockSize - Block size for the patches (default 4096)
+   * @param {number} options.rebaseInterval - Re-base after this many versions
+   *   past the base; 0 never re-bases automatically (default 16)
+   * @param {'deflate'|'gzip'|false} options.compression - Literal run compression (default false)
+   */
+  constructor(data, options = {}) {
+    if (!(data instanceof ArrayBuffer)) {
+      throw new Error('Data must be an ArrayBuffer');
+    }
+
+    const { blockSize = DEFAULT_BLOCK_SIZE, rebaseInterval = 16, compression = false } = options;
+    if (!Number.isInteger(rebaseInterval) || rebaseInterval < 0) {
+      throw new Error('rebaseInterval must be a non-negative integer');
+    }
+
+    this.blockSize = validateBlockSize(blockSize, Infinity);
+    this.rebaseInterval = rebaseInterval;
+    this.compression = compression;
+    this.base = data.slice(0);
+    this.baseVersion = 0;
+    this.latestVersion = 0;
+
+    // patches[v] turns version v - 1 into v after the base, v + 1 into v before it
+    this.patches = new Map();
+    this.latestChecksums = buildChecksumDocument(this.blockSize, this.base, {});
+  }
+
+  /**
+   * Add the next version; returns its version number
+   */
+  addVersion(data) {
+    if (!(data instanceof ArrayBuffer)) {
+      throw new Error('Data must be an ArrayBuffer');
+    }
+
+    const patch = createPatchDocument(this.latestChecksums, data, { compression: this.compression });
+    this.latestVersion++;
+    this.patches.set(this.latestVersion, patch);
+    this.latestChecksums = updateChecksumDocument(this.latestChecksums, data, patch);
+
+    if (this.rebaseInterval > 0 && this.latestVersion - this.baseVersion >= this.rebaseInterval) {
+      this.rebase();
+    }
+    return this.latestVersion;
+  }
+
+  /**
+   * Single patch from the current base to a version, or null for the base
+   */
+  patchTo(version) {
+    if (!Number.isInteger(version) || version < 0 || version > this.latestVersion) {
+      throw new Error(`No version ${version}: versions are 0 to ${this.latestVersion}`);
+    }
+
+    const step = version > this.baseVersion ? 1 : -1;
+    let patch = null;
+    for (let v = this.baseVersion + step; v !== version + step; v += step) {
+      patch = patch ? composePatches(patch, this.patches.get(v), { compression: this.compression }) : this.patches.get(v);
+    }
+    return patch;
+  }
+
+  /**
+   * Rebuild a version
+   */
+  getVersion(version) {
+    const patch = this.patchTo(version);
+    return patch ? applyPatch(patch, this.base) : this.base.slice(0);
+  }
+
+  /**
+   * Make the latest version the base, replacing the forward patches since
+   * the old base with reverse ones
+   */
+  rebase() {
+    let previous = this.base;
+    for (let v = this.baseVersion + 1; v <= this.latestVersion; v++) {
+      const next = applyPatch(this.patches.get(v), previous);
+      const checksums = buildChecksumDocument(this.blockSize, next, {});
+      this.patches.set(v - 1, createPatchDocument(checksums, previous, { compression: this.compression }));
+      previous = next;
+    }
+
+    this.patches.delete(this.latestVersion);
+    this.base = previous;
+    this.baseVersion = this.latestVersion;
+  }
+}
+
+/**
+ * The default VCDIFF code table (RFC 3284 section 5.6): for each opcode,
+ * up to two [type, size, mode] instructions. Size 0 means the size follows
+ * in the instruction section.
+ */
+const VCDIFF_CODE_TABLE = (() => {
+  const table = [[[VCD_RUN, 0, 0]]];
+  for (let size = 0; size <= 17; size++) table.push([[VCD_ADD, size, 0]]);
+  for (let mode = 0; mode < 9; mode++) {
+    table.push([[VCD_COPY, 0, mode]]);
+    for (let size = 4; size <= 18; size++) table.push([[VCD_COPY, size, mode]]);
+  }
+  for (let mode = 0; mode < 9; mode++) {
+    for (let addSize = 1; addSize <= 4; addSize++) {
+      for (let copySize = 4; copySize <= (mode < 6 ? 6 : 4); copySize++) {
+        table.push([[VCD_ADD, addSize, 0], [VCD_COPY, copySize, mode]]);
+      }
+    }
+  }
+  for (let mode = 0; mode < 9; mode++) table.push([[VCD_COPY, 4, mode], [VCD_ADD, 1, 0]]);
+  return table;
+})();
+
+const isVcdiff = (document) => {
+  const bytes = new Uint8Array(document, 0, Math.min(4, document.byteLength));
+  return bytes.length === 4 && VCDIFF_MAGIC.every((byte, i) => bytes[i] === byte);
+};
+
+const appendVarint = (output, value) => {
+  const digits = [];
+  do {
+    digits.unshift(value % 128);
+    value = Math.floor(value / 128);
+  } while (value > 0);
+  digits.forEach((digit, i) => output.appendUint8(i < digits.length - 1 ? digit | 0x80 : digit));
+};
+
+const varintLength = (value) => {
+  let length = 1;
+  while (value >= 128) {
+    value = Math.floor(value / 128);
+    length++;
+  }
+  return length;
+};
+
+/**
+ * The near and same address caches of RFC 3284 section 5.1, shared by the
+ * encoder and decoder and reset at every window
+ */
+const createAddressCache = () => {
+  const near = new Array(VCD_NEAR_SIZE).fill(0);
+  const same = new Array(VCD_SAME_SIZE * 256).fill(0);
+  let nextSlot = 0;
+
+  return {
+    near,
+    same,
+    update(address) {
+      near[nextSlot] = address;
+      nextSlot = (nextSlot + 1) % VCD_NEAR_SIZE;
+      same[address % same.length] = address;
+    }
+  };
+};
+
+/**
+ * Pick the mode that stores `address` in the fewest bytes: one byte from
+ * the same cache, else the shortest varint of the address, its distance
+ * back from `here`, or its distance past a near-cache entry
+ */
+const encodeAddress = (cache, address, here) => {
+  const sameIndex = address % cache.same.length;
+  if (cache.same[sameIndex] === address) {
+    return { mode: VCD_MODE_SAME + Math.floor(sameIndex / 256), value: sameIndex % 256, isByte: true };
+  }
+
+  let best = { mode: 0, value: address };
+  const consider = (mode, value) => {
+    if (value >= 0 && varintLength(value) < varintLength(best.value)) best = { mode, value };
+  };
+  consider(VCD_MODE_HERE, here - address);
+  cache.near.forEach((entry, i) => consider(VCD_MODE_NEAR + i, address - entry));
+  return best;
+};
+
+const encodeVcdiffWindow = (output, instructions, targetLength) => {
+  const copies = instructions.filter(({ type }) => type === VCD_COPY);
+  const sourceStart = copies.reduce((start, { address }) => Math.min(start, address), Infinity);
+  const sourceEnd = copies.reduce((end, { address, size }) => Math.max(end, address + size), 0);
+  const sourceLength = copies.length ? sourceEnd - sourceStart : 0;
+
+  const data = new BufferBuilder(1024);
+  const codes = new BufferBuilder(1024);
+  const addresses = new BufferBuilder(1024);
+  const cache = createAddressCache();
+  let here = sourceLength;
+
+  for (const instruction of instructions) {
+    const { type, size } = instruction;
+    if (type === VCD_ADD) {
+      codes.appendUint8(size <= 17 ? 1 + size : 1);
+      if (size > 17) appendVarint(codes, size);
+      data.append(instruction.bytes);
+    } else if (type === VCD_RUN) {
+      codes.appendUint8(0);
+      appendVarint(codes, size);
+      data.appendUint8(instruction.byte);
+    } else {
+      const address = instruction.address - sourceStart;
+      const { mode, value, isByte } = encodeAddress(cache, address, here);
+      const base = 19 + mode * 16;
+      codes.appendUint8(size >= 4 && size <= 18 ? base + size - 3 : base);
+      if (size < 4 || size > 18) appendVarint(codes, size);
+      if (isByte) addresses.appendUint8(value); else appendVarint(addresses, value);
+      cache.update(address);
+    }
+    here += size;
+  }
+
+  // The delta encoding, whose length comes first
+  const encoding = new BufferBuilder(64);
+  appendVarint(encoding, targetLength);
+  encoding.appendUint8(0);
+  appendVarint(encoding, data.length);
+  appendVarint(encoding, codes.length);
+  appendVarint(encoding, addresses.length);
+
+  output.appendUint8(copies.length ? VCD_SOURCE : 0);
+  if (copies.length) {
+    appendVarint(output, sourceLength);
+    appendVarint(output, sourceStart);
+  }
+  appendVarint(output, encoding.length + data.length + codes.length + addresses.length);
+  for (const section of [encoding, data, codes, addresses]) {
+    output.append(section.buffer.subarray(0, section.length));
+  }
+};
+
+/**
+ * Re-encode a single-source patch as VCDIFF. Block runs and byte ranges
+ * become COPYs from a source window, copies from the output are resolved
+ * to the bytes they repeat, and literal runs become ADDs, with RUNs for
+ * long runs of one byte. VCDIFF carries no integrity check.
+ */
+const encodeVcdiff = (patchDocument, baseLength) => {
+  const output = new BufferBuilder(8192);
+  output.append(new Uint8Array(VCDIFF_MAGIC));
+  output.appendUint8(0);
+
+  let instructions = [];
+  let windowLength = 0;
+  const flushWindow = () => {
+    if (windowLength === 0) return;
+    encodeVcdiffWindow(output, instructions, windowLength);
+    instructions = [];
+    windowLength = 0;
+  };
+
+  const addLiteral = (bytes) => {
+    let start = 0;
+    for (let i = 0; i < bytes.length;) {
+      let end = i + 1;
+      while (end < bytes.length && bytes[end] === bytes[i]) end++;
+      if (end - i >= VCDIFF_MIN_RUN) {
+        if (i > start) instructions.push({ type: VCD_ADD, size: i - start, bytes: bytes.subarray(start, i) });
+        instructions.push({ type: VCD_RUN, size: end - i, byte: bytes[i] });
+        start = end;
+      }
+      i = end;
+    }
+    if (bytes.length > start) {
+      instructions.push({ type: VCD_ADD, size: bytes.length - start, bytes: bytes.subarray(start) });
+    }
+  };
+
+  for (const [, length, source] of patchSegments(patchDocument, baseLength).segments) {
+    for (let taken = 0; taken < length;) {
+      const count = Math.min(length - taken, VCDIFF_WINDOW_SIZE - windowLength);
+      if (typeof source === 'number') {
+        const last = instructions[instructions.length - 1];
+        if (last?.type === VCD_COPY && last.address + last.size === source + taken) {
+          last.size += count;
+        } else {
+          instructions.push({ type: VCD_COPY, size: count, address: source + taken });
+        }
+      } else {
+        addLiteral(source.subarray(taken, taken + count));
+      }
+      taken += count;
+      windowLength += count;
+      if (windowLength === VCDIFF_WINDOW_SIZE) flushWindow();
+    }
+  }
+  flushWindow();
+
+  return output.toArrayBuffer();
+};
+
+/**
+ * zlib's Adler-32, as used by xdelta3's window checksums
+ */
+const zlibAdler32 = (bytes) => {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i += 5552) {
+    const end = Math.min(i + 5552, bytes.length);
+    for (let k = i; k < end; k++) {
+      a += bytes[k];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+};
+
+/**
+ * Read a VCDIFF varint (big-endian base 128) at `cursor.at`, before `end`
+ */
+const readVcdiffVarint = (bytes, cursor, end) => {
+  let value = 0;
+  let byte;
+  do {
+    if (cursor.at >= end) {
+      throw new FormatError(`VCDIFF patch ends inside an integer at offset ${cursor.at}`, 'TRUNCATED');
+    }
+    byte = bytes[cursor.at++];
+    value = value * 128 + (byte & 0x7f);
+    if (value > Number.MAX_SAFE_INTEGER) {
+      throw new FormatError(`VCDIFF integer at offset ${cursor.at} is too large`, 'INVALID_OPERATION');
+    }
+  } while (byte & 0x80);
+  return value;
+};
+
+/**
+ * Apply a VCDIFF patch made with the default code table, such as those of
+ * xdelta3 (without secondary compression) or open-vcdiff. Source windows
+ * may come from the base or from output already produced, and COPYs may
+ * read target bytes they are still writing.
+ */
+const applyVcdiff = (patchDocument, data, options) => {
+  const { onProgress, signal, verify, maxOutputSize } = options;
+  const bytes = new Uint8Array(patchDocument);
+  const base = new Uint8Array(data);
+  const cursor = { at: VCDIFF_MAGIC.length };
+  const varint = () => readVcdiffVarint(bytes, cursor, bytes.length);
+  const byte = () => {
+    if (cursor.at >= bytes.length) {
+      throw new FormatError(`VCDIFF patch ends inside a window at offset ${cursor.at}`, 'TRUNCATED');
+    }
+    return bytes[cursor.at++];
+  };
+
+  const headerIndicator = byte();
+  if (headerIndicator & VCD_DECOMPRESS) {
+    throw new FormatError('VCDIFF secondary compression is not supported', 'UNSUPPORTED_COMPRESSION');
+  }
+  if (headerIndicator & ~VCD_APPHEADER) {
+    throw new FormatError(`Unsupported VCDIFF header flags ${headerIndicator}`, 'UNSUPPORTED_FLAGS');
+  }
+  if (headerIndicator & VCD_APPHEADER) {
+    const appHeaderLength = varint();
+    if (appHeaderLength > bytes.length - cursor.at) {
+      throw new FormatError(`VCDIFF application header of ${appHeaderLength} bytes runs past the end of the patch`, 'TRUNCATED');
+    }
+    cursor.at += appHeaderLength;
+  }
+
+  const result = new BufferBuilder(Math.max(base.length, 1024));
+  let error = null;
+  let checked = false;
+
+  while (cursor.at < bytes.length) {
+    if (signal?.aborted) {
+      throw new Error('Operation cancelled');
+    }
+
+    const windowIndicator = byte();
+    if ((windowIndicator & ~(VCD_SOURCE | VCD_TARGET | VCD_ADLER32)) ||
+        ((windowIndicator & VCD_SOURCE) && (windowIndicator & VCD_TARGET))) {
+      throw new FormatError(`Unsupported VCDIFF window flags ${windowIndicator}`, 'UNSUPPORTED_FLAGS');
+    }
+
+    // The source window: bytes of the base, or of the output so far
+    let source = new Uint8Array(0);
+    if (windowIndicator & (VCD_SOURCE | VCD_TARGET)) {
+      const from = windowIndicator & VCD_SOURCE ? base : result.buffer.subarray(0, result.length);
+      const sourceLength = varint();
+      const sourceStart = varint();
+      if (sourceStart + sourceLength > from.length) {
+        throw new FormatError(
+          `Source window ${sourceStart}+${sourceLength} is out of range: ${from === base ? 'base data' : 'output'} has ${from.length} bytes`,
+          'BLOCK_OUT_OF_RANGE'
+        );
+      }
+      source = from.slice(sourceStart, sourceStart + sourceLength);
+    }
+
+    const encodingLength = varint();
+    const encodingEnd = cursor.at + encodingLength;
+    const targetLength = varint();
+    if (targetLength > VCDIFF_MAX_TARGET_WINDOW) {
+      throw new FormatError(
+        `VCDIFF window of ${targetLength} bytes is over the ${VCDIFF_MAX_TARGET_WINDOW} byte limit`,
+        'WINDOW_TOO_LARGE'
+      );
+    }
+    if (result.length + targetLength > maxOutputSize) {
+      throw new FormatError(
+        `Patched output would be over the ${maxOutputSize} byte limit`,
+        'OUTPUT_TOO_LARGE'
+      );
+    }
+    if (byte() !== 0) {
+      throw new FormatError('VCDIFF section compression is not supported', 'UNSUPPORTED_COMPRESSION');
+    }
+    const dataLength = varint();
+    const codesLength = varint();
+    const addressesLength = varint();
+    let checksum = null;
+    if (windowIndicator & VCD_ADLER32) {
+      checksum = ((byte() << 24) | (byte() << 16) | (byte() << 8) | byte()) >>> 0;
+    }
+    if (encodingEnd > bytes.length || cursor.at + dataLength + codesLength + addressesLength !== encodingEnd) {
+      throw new FormatError('VCDIFF window sections do not add up to its length', 'TRUNCATED');
+    }
+
+    // Each section is read with its own cursor
+    const data = { at: cursor.at };
+    const codes = { at: data.at + dataLength };
+    const addresses = { at: codes.at + codesLength };
+    const dataEnd = codes.at;
+    const codesEnd = addresses.at;
+    const target = new Uint8Array(targetLength);
+    const cache = createAddressCache();
+    let position = 0;
+
+    while (codes.at < codesEnd) {
+      for (const [type, tableSize, mode] of VCDIFF_CODE_TABLE[bytes[codes.at++]]) {
+        const size = tableSize || readVcdiffVarint(bytes, codes, codesEnd);
+        if (size > targetLength - position) {
+          throw new FormatError('VCDIFF instruction writes past the end of its window', 'INVALID_OPERATION');
+        }
+
+        if (type === VCD_ADD) {
+          if (size > dataEnd - data.at) {
+            throw new FormatError('VCDIFF ADD reads past the data section', 'TRUNCATED');
+          }
+          target.set(bytes.subarray(data.at, data.at + size), position);
+          data.at += size;
+        } else if (type === VCD_RUN) {
+          if (data.at >= dataEnd) {
+            throw new FormatError('VCDIFF RUN reads past the data section', 'TRUNCATED');
+          }
+          target.fill(bytes[data.at++], position, position + size);
+        } else {
+          const here = source.length + position;
+          let address;
+          if (mode >= VCD_MODE_SAME) {
+            if (addresses.at >= encodingEnd) {
+              throw new FormatError('VCDIFF COPY reads past the address section', 'TRUNCATED');
+            }
+            address = cache.same[(mode - VCD_MODE_SAME) * 256 + bytes[addresses.at++]];
+          } else {
+            const value = readVcdiffVarint(bytes, addresses, encodingEnd);
+            if (mode === 0) address = value;
+            else if (mode === VCD_MODE_HERE) address = here - value;
+            else address = cache.near[mode - VCD_MODE_NEAR] + value;
+          }
+          if (address < 0 || address >= here) {
+            throw new FormatError(`VCDIFF COPY address ${address} is out of range`, 'BLOCK_OUT_OF_RANGE');
+          }
+          cache.update(address);
+
+          // Source bytes first, then target bytes one at a time, since a
+          // copy may read what it is writing
+          const fromSource = Math.max(0, Math.min(size, source.length - address));
+          target.set(source.subarray(address, address + fromSource), position);
+          for (let k = fromSource; k < size; k++) {
+            target[position + k] = target[address + k - source.length];
+          }
+        }
+        position += size;
+      }
+    }
+
+    if (position !== targetLength || data.at !== dataEnd || addresses.at !== encodingEnd) {
+      throw new FormatError('VCDIFF window does not match its target length', 'LENGTH_MISMATCH');
+    }
+    checked ||= checksum !== null;
+    if (verify && checksum !== null && zlibAdler32(target) !== checksum) {
+      error ??= new IntegrityError('Patched output does not match the VCDIFF window checksum', 'DIGEST_MISMATCH');
+      if (verify === 'throw') throw error;
+    }
+
+    result.append(target);
+    cursor.at = encodingEnd;
+
+    onProgress?.({
+      phase: 'apply',
+      bytesWritten: result.length,
+      percent: (cursor.at / bytes.length) * 100
+    });
+  }
+
+  return { output: result.toArrayBuffer(), verified: error ? false : (checked ? true : null) };
+};
+
+/**
+ * Summarize a VCDIFF patch from its window headers, without decoding any
+ * instructions
+ */
+const describeVcdiff = (patchDocument) => {
+  const bytes = new Uint8Array(patchDocument);
+  const cursor = { at: VCDIFF_MAGIC.length };
+  const varint = () => readVcdiffVarint(bytes, cursor, bytes.length);
+  const byte = () => {
+    if (cursor.at >= bytes.length) {
+      throw new FormatError(`VCDIFF patch ends inside a window at offset ${cursor.at}`, 'TRUNCATED');
+    }
+    return bytes[cursor.at++];
+  };
+
+  const headerIndicator = byte();
+  if (headerIndicator & VCD_APPHEADER) {
+    const appHeaderLength = varint();
+    if (appHeaderLength > bytes.length - cursor.at) {
+      throw new FormatError(`VCDIFF application header of ${appHeaderLength} bytes runs past the end of the patch`, 'TRUNCATED');
+    }
+    cursor.at += appHeaderLength;
+  }
+
+  let numWindows = 0;
+  let outputLength = 0;
+  let checksummedWindows = 0;
+  while (cursor.at < bytes.length) {
+    const windowIndicator = byte();
+    if (windowIndicator & (VCD_SOURCE | VCD_TARGET)) {
+      varint();
+      varint();
+    }
+    const encodingLength = varint();
+    const encodingEnd = cursor.at + encodingLength;
+    if (encodingEnd > bytes.length) {
+      throw new FormatError(`VCDIFF window at offset ${cursor.at} runs past the end of the patch`, 'TRUNCATED');
+    }
+    outputLength += varint();
+    numWindows++;
+    if (windowIndicator & VCD_ADLER32) checksummedWindows++;
+    cursor.at = encodingEnd;
+  }
+
+  return { headerIndicator, numWindows, outputLength, checksummedWindows };
+};
+
+/**
+ * Add (or with `sign` -1, remove) librsync's rollsum character offset to a
+ * weak checksum of `length` bytes
+ */
+const shiftRollsum = (checksum, length, sign) => {
+  const a = (checksum & 0xffff) + sign * ((length * ROLLSUM_CHAR_OFFSET) % HASH_TABLE_SIZE);
+  const b = (checksum >>> 16) + sign * (((length * (length + 1) / 2) * ROLLSUM_CHAR_OFFSET) % HASH_TABLE_SIZE);
+  return (((b & 0xffff) << 16) | (a & 0xffff)) >>> 0;
+};
+
+const rdiffIntWidth = (value) =>
+  value <= 0xff ? 1 : value <= 0xffff ? 2 : value <= MAX_UINT32 ? 4 : 8;
+
+const appendRdiffInt = (output, value, width) => {
+  for (let shift = width - 1; shift >= 0; shift--) {
+    output.appendUint8(Math.floor(value / 2 ** (shift * 8)) % 256);
+  }
+};
+
+/**
+ * Convert a checksum document to an rdiff signature, for `rdiff delta`.
+ * The document must use the 'md4' or 'blake2b' strong hash, which become
+ * the MD4 and BLAKE2 signature formats; weak checksums become rollsums.
+ *
+ * @param {ArrayBuffer} checksumDocument - Single-source checksum document
+ * @returns {ArrayBuffer} rdiff signature
+ */
+export const toRdiffSignature = (checksumDocument) => {
+  if (!(checksumDocument instanceof ArrayBuffer)) {
+    throw new Error('Checksum document must be an ArrayBuffer');
+  }
+
+  const { blockSize, fileLength, sources, hashAlgorithm, hashLength, entries } = readChecksumDocument(checksumDocument);
+  const magic = Object.keys(RDIFF_SIGNATURE_MAGICS).find(key => RDIFF_SIGNATURE_MAGICS[key] === hashAlgorithm);
+  if (sources) {
+    throw new Error('Merged checksum documents have no rdiff equivalent');
+  }
+  if (!magic) {
+    throw new Error("rdiff signatures need a checksum document with the 'md4' or 'blake2b' strong hash");
+  }
+
+  const entrySize = 4 + hashLength;
+  const signature = new ArrayBuffer(RDIFF_SIGNATURE_HEADER_SIZE + entries.length * entrySize);
+  const view = new DataView(signature);
+  const bytes = new Uint8Array(signature);
+  view.setUint32(0, Number(magic));
+  view.setUint32(4, blockSize);
+  view.setUint32(8, hashLength);
+
+  entries.forEach(([checksum, hash], i) => {
+    const offset = RDIFF_SIGNATURE_HEADER_SIZE + i * entrySize;
+    view.setUint32(offset, shiftRollsum(checksum, Math.min(blockSize, fileLength - i * blockSize), 1));
+    bytes.set(hash, offset + 4);
+  });
+
+  return signature;
+};
+
+/**
+ * Convert an rdiff signature to a checksum document, to make patches for
+ * the file it describes. Signatures don't record the file's length, which
+ * is needed for the last block, so it must be given. Only rollsum
+ * signatures can be read (`rdiff signature -R rollsum`); Rabin-Karp
+ * checksums don't roll the way this library's matcher does.
+ *
+ * @param {ArrayBuffer} signature - rdiff signature
+ * @param {Object} options - Configuration
+ * @param {number} options.fileLength - Length of the file the signature describes
+ * @returns {ArrayBuffer} Checksum document
+ */
+export const fromRdiffSignature = (signature, options = {}) => {
+  if (!(signature instanceof ArrayBuffer)) {
+    throw new Error('Signature must be an ArrayBuffer');
+  }
+
+  const { fileLength } = options;
+  if (!Number.isSafeInteger(fileLength) || fileLength < 0) {
+    throw new Error('fileLength is required: rdiff signatures do not record the file length');
+  }
+  if (signature.byteLength < RDIFF_SIGNATURE_HEADER_SIZE) {
+    throw new FormatError('rdiff signature is truncated', 'TRUNCATED');
+  }
+
+  const view = new DataView(signature);
+  const magic = view.getUint32(0);
+  if (RDIFF_RABIN_KARP_MAGICS.includes(magic)) {
+    throw new FormatError(
+      'Rabin-Karp rdiff signatures are not supported: create the signature with rdiff signature -R rollsum',
+      'UNSUPPORTED_HASH'
+    );
+  }
+  const hashAlgorithm = RDIFF_SIGNATURE_MAGICS[magic];
+  if (!hashAlgorithm) {
+    throw new FormatError('Not an rdiff signature', 'UNRECOGNIZED');
+  }
+
+  const blockSize = view.getUint32(4);
+  const hashLength = view.getUint32(8);
+  if (blockSize < MIN_BLOCK_SIZE || blockSize > MAX_BLOCK_SIZE) {
+    throw new FormatError(`Invalid block size ${blockSize}`, 'INVALID_BLOCK_SIZE');
+  }
+  if (hashLength < 1 || hashLength > STRONG_HASHES[hashAlgorithm].maxLength) {
+    throw new FormatError(`Invalid strong sum length ${hashLength}`, 'UNSUPPORTED_HASH');
+  }
+
+  const entrySize = 4 + hashLength;
+  const bodyLength = signature.byteLength - RDIFF_SIGNATURE_HEADER_SIZE;
+  if (bodyLength % entrySize !== 0) {
+    throw new FormatError('rdiff signature ends inside a block', 'TRUNCATED');
+  }
+  const numBlocks = bodyLength / entrySize;
+  if (numBlocks !== Math.ceil(fileLength / blockSize)) {
+    throw new FormatError(
+      `rdiff signature has ${numBlocks} blocks, but a ${fileLength} byte file has ${Math.ceil(fileLength / blockSize)}`,
+      'LENGTH_MISMATCH'
+    );
+  }
+
+  const wide = needsWideLayout(fileLength);
+  const doc = new ArrayBuffer(HEADER_SIZE + (wide ? 8 : 4) + numBlocks * entrySize);
+  const docView = new DataView(doc);
+  const docBytes = new Uint8Array(doc);
+
+  docBytes.set(encodeHeader({
+    type: DOC_CHECKSUM,
+    hashAlgorithm,
+    hashLength,
+    flags: wide ? FLAG_WIDE : 0,
+    fileLength,
+    blockSize
+  }));
+
+  let offset = writeBlockNumber(docView, HEADER_SIZE, numBlocks, wide);
+  for (let i = 0; i < numBlocks; i++) {
+    const entry = RDIFF_SIGNATURE_HEADER_SIZE + i * entrySize;
+    docView.setUint32(offset, shiftRollsum(view.getUint32(entry), Math.min(blockSize, fileLength - i * blockSize), -1), true);
+    docBytes.set(new Uint8Array(signature, entry + 4, hashLength), offset + 4);
+    offset += entrySize;
+  }
+
+  return doc;
+};
+
+/**
+ * Convert a patch to an rdiff delta, for `rdiff patch`. Block runs and byte
+ * ranges become copies, copies from the output are resolved to the bytes
+ * they repeat, and literals are decompressed. rdiff deltas carry no
+ * integrity check, so the patch's check is dropped.
+ *
+ * @param {ArrayBuffer} patchDocument - Single-source patch document
+ * @param {Object} options - Optional configuration
+ * @param {number} options.baseLength - Length of the base data, for patches
+ *   that don't record it (headerless 1.0 patches)
+ * @returns {ArrayBuffer} rdiff delta
+ */
+export const toRdiffDelta = (patchDocument, options = {}) => {
+  if (!(patchDocument instanceof ArrayBuffer)) {
+    throw new Error('Patch document must be an ArrayBuffer');
+  }
+
+  const { header, sources } = readPatchPreamble(patchDocument);
+  if (sources) {
+    throw new Error('rdiff deltas have a single basis file, so multi-source patches cannot be converted');
+  }
+  const baseLength = header?.fileLength ?? options.baseLength;
+  if (!Number.isSafeInteger(baseLength) || baseLength < 0) {
+    throw new Error('baseLength is required for patches that do not record the base length');
+  }
+
+  const output = new BufferBuilder(8192);
+  appendRdiffInt(output, RDIFF_DELTA_MAGIC, 4);
+
+  // Adjacent copies of adjacent base bytes, and adjacent literals, are
+  // written as one command
+  let copyStart = 0;
+  let copyLength = 0;
+  const literal = new BufferBuilder(8192);
+
+  const flushCopy = () => {
+    if (copyLength === 0) return;
+    const offsetWidth = rdiffIntWidth(copyStart);
+    const lengthWidth = rdiffIntWidth(copyLength);
+    output.appendUint8(
+      RDIFF_OP_COPY_N1_N1 + RDIFF_INT_WIDTHS.indexOf(offsetWidth) * 4 + RDIFF_INT_WIDTHS.indexOf(lengthWidth)
+    );
+    appendRdiffInt(output, copyStart, offsetWidth);
+    appendRdiffInt(output, copyLength, lengthWidth);
+    copyLength = 0;
+  };
+
+  const flushLiteral = () => {
+    if (literal.length === 0) return;
+    if (literal.length <= RDIFF_MAX_SHORT_LITERAL) {
+      output.appendUint8(literal.length);
+    } else {
+      const lengthWidth = rdiffIntWidth(literal.length);
+      output.appendUint8(RDIFF_OP_LITERAL_N1 + RDIFF_INT_WIDTHS.indexOf(lengthWidth));
+      appendRdiffInt(output, literal.length, lengthWidth);
+    }
+    output.append(literal.buffer.subarray(0, literal.length));
+    literal.length = 0;
+  };
+
+  for (const [, length, source] of patchSegments(patchDocument, baseLength).segments) {
+    if (typeof source !== 'number') {
+      flushCopy();
+      literal.append(source);
+    } else if (copyLength > 0 && copyStart + copyLength === source) {
+      copyLength += length;
+    } else {
+      flushLiteral();
+      flushCopy();
+      copyStart = source;
+      copyLength = length;
+    }
+  }
+  flushLiteral();
+  flushCopy();
+  output.appendUint8(RDIFF_OP_END);
+
+  return output.toArrayBuffer();
+};
+
+/**
+ * Convert an rdiff delta to a patch document. Copies become byte range
+ * copies. rdiff deltas carry no integrity check, so neither does the
+ * patch; give the base length to have it checked on apply.
+ *
+ * @param {ArrayBuffer} delta - rdiff delta
+ * @param {Object} options - Optional configuration
+ * @param {number} options.fileLength - Length of the base data the delta applies to
+ * @param {'deflate'|'gzip'|false} options.compression - Literal run
+ *   compression (default false)
+ * @returns {ArrayBuffer} Patch document
+ */
+export const fromRdiffDelta = (delta, options = {}) => {
+  if (!(delta instanceof ArrayBuffer)) {
+    throw new Error('Delta must be an ArrayBuffer');
+  }
+
+  const { fileLength = null, compression = false } = options;
+  if (fileLength !== null && (!Number.isSafeInteger(fileLength) || fileLength < 0)) {
+    throw new Error('fileLength must be a non-negative integer');
+  }
+
+  const { byteLength } = delta;
+  const view = new DataView(delta);
+  const bytes = new Uint8Array(delta);
+  let offset = 0;
+
+  const need = (length) => {
+    if (length > byteLength - offset) {
+      throw new FormatError(`rdiff delta ends inside a command at offset ${offset}`, 'TRUNCATED');
+    }
+  };
+  const readInt = (width) => {
+    need(width);
+    let value = 0;
+    for (let i = 0; i < width; i++) value = value * 256 + bytes[offset + i];
+    if (!Number.isSafeInteger(value)) {
+      throw new FormatError(`rdiff delta value at offset ${offset} is too large`, 'INVALID_OPERATION');
+    }
+    offset += width;
+    return value;
+  };
+
+  if (byteLength < 4 || view.getUint32(0) !== RDIFF_DELTA_MAGIC) {
+    throw new FormatError('Not an rdiff delta', 'UNRECOGNIZED');
+  }
+  offset = 4;
+
+  const writer = createRangePatchWriter({
+    hashAlgorithm: HASH_BLAKE2S,
+    hashLength: STRONG_HASH_LENGTH,
+    compression: compression ? compressionCodecId(compression) : COMPRESSION_NONE,
+    fileLength,
+    blockSize: DEFAULT_BLOCK_SIZE
+  });
+
+  while (true) {
+    need(1);
+    const op = bytes[offset++];
+
+    if (op === RDIFF_OP_END) {
+      if (offset !== byteLength) {
+        throw new FormatError('Unexpected data after the end of the delta', 'TRAILING_DATA');
+      }
+      return writer.finish();
+    }
+
+    if (op < RDIFF_OP_COPY_N1_N1) {
+      const length = op <= RDIFF_MAX_SHORT_LITERAL ? op : readInt(RDIFF_INT_WIDTHS[op - RDIFF_OP_LITERAL_N1]);
+      need(length);
+      writer.addLiteral(bytes.subarray(offset, offset + length));
+      offset += length;
+      continue;
+    }
+
+    if (op < RDIFF_OP_COPY_N1_N1 + 16) {
+      const widths = op - RDIFF_OP_COPY_N1_N1;
+      const start = readInt(RDIFF_INT_WIDTHS[widths >> 2]);
+      const length = readInt(RDIFF_INT_WIDTHS[widths & 3]);
+      if (fileLength !== null && start + length > fileLength) {
+        throw new FormatError(
+          `Bytes ${start}-${start + length} are out of range: base data has ${fileLength} bytes`,
+          'BLOCK_OUT_OF_RANGE'
+        );
+      }
+
+      // Copy lengths in patches are 32-bit
+      for (let copied = 0; copied < length;) {
+        const count = Math.min(length - copied, MAX_UINT32);
+        writer.addCopy(start + copied, count);
+        copied += count;
+      }
+      continue;
+    }
+
+    throw new FormatError(`Unknown rdiff command ${op} at offset ${offset - 1}`, 'UNKNOWN_OPERATION');
+  }
+};
+
+/**
+ * Describe a checksum, chunk or patch document without applying it
+ *
+ * Headerless 1.0 documents don't record their type; it is inferred from the
+ * layout and reported with `version: 0`. VCDIFF patches are reported as
+ * type 'vcdiff' with their window count and output length.
+ *
+ * @param {ArrayBuffer} document - Checksum, chunk or patch document
+ * @returns {Object} Document type, format version, header fields and counts
+ */
+export const inspectDocument = (document) => {
+  if (!(document instanceof ArrayBuffer)) {
+    throw new Error('Document must be an ArrayBuffer');
+  }
+
+  if (isVcdiff(document)) {
+    const { headerIndicator, numWindows, outputLength, checksummedWindows } = describeVcdiff(document);
+    return {
+      type: 'vcdiff',
+      compression: headerIndicator & VCD_DECOMPRESS ? 'secondary' : 'none',
+      byteLength: document.byteLength,
+      numWindows,
+      outputLength,
+      checksummedWindows
+    };
+  }
+
+  const header = readHeader(document);
+  let type = header && DOCUMENT_TYPES[header.type];
+
+  if (!header) {
+    const numBlocks = document.byteLength >= 8 ? new DataView(document).getUint32(4, true) : -1;
+    type = document.byteLength === 8 + numBlocks * 20 ? 'checksum' : 'patch';
+  }
+
+  const info = {
+    type,
+    version: header ? header.version : 0,
+    hashAlgorithm: STRONG_HASHES[header ? header.hashAlgorithm : HASH_BLAKE2S].name,
+    hashLength: header ? header.hashLength : STRONG_HASH_LENGTH,
+    compression: COMPRESSION_CODECS[header ? header.compression : COMPRESSION_NONE],
+    indexBits: header && (header.flags & FLAG_WIDE) ? 64 : 32,
+    byteLength: document.byteLength
+  };
+
+  if (type === 'checksum') {
+    const { blockSize, numBlocks, fileLength, sources, check } = readChecksumDocument(document);
+    return {
+      ...info,
+      blockSize,
+      fileLength,
+      sources,
+      numBlocks,
+      digestAlgorithm: check ? HASH_ALGORITHMS[check.algorithm] : null
+    };
+  }
+
+  if (type === 'chunks') {
+    const { blockSize, fileLength, params, chunks } = readChunkDocument(document);
+    return {
+      ...info,
+      blockSize,
+      fileLength,
+      sources: null,
+      minSize: params.minSize,
+      averageSize: params.averageSize,
+      maxSize: params.maxSize,
+      numChunks: chunks.length
+    };
+  }
+
+  if (type === 'extension') {
+    const { granularity, fileLength, numRanges } = readExtensionDocument(document);
+    return {
+      ...info,
+      blockSize: granularity,
+      fileLength,
+      sources: null,
+      granularity,
+      numRanges
+    };
+  }
+
+  const { blockSize, fileLength, sources, matchCount, patchCount, literalBytes, check, usedSources } = describePatch(document);
+  return {
+    ...info,
+    blockSize,
+    fileLength,
+    sources,
+    usedSources: sources ? [...usedSources].sort((a, b) => a - b) : null,
+    matchCount,
+    patchCount,
+    literalBytes,
+    outputLength: check ? check.outputLength : null,
+    digestAlgorithm: check ? HASH_ALGORITHMS[check.algorithm] : null
+  };
 };
 
 /**
@@ -0,0 +1,516 @@
+/**
+ * bit-sync-esm tree manifests
+ * Sync whole directory trees: a manifest describes the receiver's files,
+ * a tree delta turns them into the sender's
+ *
+ * @license MIT
+ */
+
+import { blake2s } from '@noble/hashes/blake2.js';
+import { sha256 } from '@noble/hashes/sha2.js';
+import {
+  createChecksumDocument,
+  createPatchDocument,
+  applyPatch,
+  mergeChecksumDocuments,
+  inspectDocument,
+  FormatError,
+  IntegrityError
+} from './index.js';
+
+// Container: magic 'BSTR', u8 kind, u8 version, 2 reserved, u32 JSON length,
+// JSON, then the byte fields back to back
+const TREE_MAGIC = 0x52545342; // 'BSTR' read as a little-endian u32
+const TREE_PREFIX_SIZE = 12;
+const TREE_VERSION = 1;
+const KIND_MANIFEST = 1;
+const KIND_DELTA = 2;
+const KIND_NAMES = { [KIND_MANIFEST]: 'manifest', [KIND_DELTA]: 'tree delta' };
+
+const DEFAULT_BLOCK_SIZE = 4096;
+const DEFAULT_MODE = 0o644;
+const DIGESTS = { blake2s: (bytes) => blake2s(bytes, { dkLen: 32 }), sha256 };
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const fileDigest = (algorithm, data) => toHex(DIGESTS[algorithm](new Uint8Array(data)));
+
+const checkDigestOption = (digest) => {
+  if (!Object.hasOwn(DIGESTS, digest)) {
+    throw new Error("digest must be 'blake2s' or 'sha256'");
+  }
+};
+
+/**
+ * Relative POSIX paths only: a delta from a peer must not write outside
+ * the tree it is applied to
+ */
+const checkPath = (path) => {
+  const safe = typeof path === 'string' &&
+    path.length > 0 &&
+    !/[\\\0]/.test(path) &&
+    path.split('/').every((part) => part !== '' && part !== '.' && part !== '..');
+  if (!safe) {
+    throw new FormatError(`Unsafe path in tree: ${JSON.stringify(path)}`, 'INVALID_PATH');
+  }
+  return path;
+};
+
+const checkMode = (mode) => {
+  if (!Number.isInteger(mode) || mode < 0 || mode > 0o7777) {
+    throw new FormatError(`Invalid file mode ${mode}`, 'INVALID_OPERATION');
+  }
+  return mode;
+};
+
+const checkAborted = (signal) => {
+  if (signal?.aborted) {
+    throw new Error('Operation cancelled');
+  }
+};
+
+/**
+ * A tree held in a Map of path to ArrayBuffer or `{ data, mode }`. Writes
+ * go back into the Map as `{ data, mode }`.
+ *
+ * @param {Map<string, ArrayBuffer|{ data: ArrayBuffer, mode: number }>} files - Files by path
+ * @returns {Object} Tree
+ */
+export const memoryTree = (files = new Map()) => {
+  const entry = (path) => {
+    const file = files.get(path);
+    if (file === undefined) throw new Error(`No such file in tree: ${path}`);
+    return file instanceof ArrayBuffer ? { data: file, mode: DEFAULT_MODE } : { mode: DEFAULT_MODE, ...file };
+  };
+
+  return {
+    files,
+    list: async () => [...files.keys()].map((path) => {
+      const { data, mode } = entry(path);
+      return { path, size: data.byteLength, mode };
+    }),
+    read: async (path) => entry(path).data,
+    write: async (path, data, mode = DEFAULT_MODE) => {
+      files.set(path, { data, mode });
+    },
+    remove: async (path) => {
+      files.delete(path);
+    },
+    rename: async (from, to) => {
+      files.set(to, entry(from));
+      files.delete(from);
+    },
+    chmod: async (path, mode) => {
+      files.set(path, { ...entry(path), mode });
+    }
+  };
+};
+
+const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+const toTree = (tree) => (tree instanceof Map ? memoryTree(tree) : tree);
+
+/**
+ * Describe a tree for the sending side: each file's size, mode and
+ * whole-file digest, plus a checksum document for files of at least one
+ * block. All checksum documents share one block size and strong hash, so
+ * blocks can be matched across files.
+ *
+ * @param {Object|Map} tree - Tree (see memoryTree) or a Map of files
+ * @param {Object} options - Optional configuration
+ * @param {number} options.blockSize - Block size of every file (default 4096)
+ * @param {'blake2s'|'blake3'|'sha256'|'xxh128'|'blake2b'|'md4'} options.hash - Strong hash of each block (default 'blake2s')
+ * @param {number} options.hashLength - Bytes of each strong hash to keep (default 16)
+ * @param {'blake2s'|'sha256'} options.digest - Whole-file digest (default 'blake2s')
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @returns {Promise<Object>} Manifest
+ */
+export const createManifest = async (tree, options = {}) => {
+  const {
+    blockSize = DEFAULT_BLOCK_SIZE,
+    hash = 'blake2s',
+    hashLength = 16,
+    digest = 'blake2s',
+    onProgress,
+    signal
+  } = options;
+  checkDigestOption(digest);
+  tree = toTree(tree);
+
+  const listing = (await tree.list()).sort(byPath);
+  const totalBytes = listing.reduce((total, { size }) => total + size, 0);
+  const files = [];
+  let bytesProcessed = 0;
+
+  for (const { path, mode } of listing) {
+    checkAborted(signal);
+    const data = await tree.read(checkPath(path));
+
+    files.push({
+      path,
+      size: data.byteLength,
+      mode: checkMode(mode),
+      digest: fileDigest(digest, data),
+      checksum: data.byteLength >= blockSize
+        ? createChecksumDocument(blockSize, data, { hash, hashLength })
+        : null
+    });
+
+    bytesProcessed += data.byteLength;
+    onProgress?.({
+      phase: 'manifest',
+      filesProcessed: files.length,
+      totalFiles: listing.length,
+      bytesProcessed,
+      totalBytes,
+      percent: totalBytes ? (bytesProcessed / totalBytes) * 100 : 100
+    });
+  }
+
+  return { blockSize, hash, hashLength, digest, files };
+};
+
+/**
+ * Work out how to turn the manifest's tree into `tree`. Files whose
+ * content is unchanged are left alone (or only renamed or re-moded); every
+ * other file gets a patch against all of the receiver's files at once, so
+ * blocks moved between files are copied, not sent. Files smaller than a
+ * block, or with nothing to match against, are sent whole.
+ *
+ * @param {Object} manifest - Manifest of the receiver's tree
+ * @param {Object|Map} tree - The sender's tree (see memoryTree) or a Map of files
+ * @param {Object} options - Optional configuration
+ * @param {'deflate'|'gzip'|false} options.compression - Literal run compression (default false)
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @returns {Promise<Object>} Tree delta
+ */
+export const createTreeDelta = async (manifest, tree, options = {}) => {
+  const { compression = false, onProgress, signal } = options;
+  const { blockSize, digest } = manifest;
+  checkDigestOption(digest);
+  tree = toTree(tree);
+
+  const oldFiles = new Map(manifest.files.map((file) => [file.path, file]));
+  const listing = (await tree.list()).sort(byPath);
+  const newPaths = new Set(listing.map(({ path }) => path));
+
+  // Source ids of the merged document are positions in `sources`
+  const bases = manifest.files.filter((file) => file.checksum);
+  const sources = bases.map((file) => file.path);
+  const merged = bases.length ? mergeChecksumDocuments(...bases.map((file) => file.checksum)) : null;
+
+  // Removed files, by digest, that an added file may turn out to be
+  const vacated = new Map();
+  for (const file of manifest.files) {
+    if (newPaths.has(file.path)) continue;
+    const key = `${file.size}:${file.digest}`;
+    if (!vacated.has(key)) vacated.set(key, []);
+    vacated.get(key).push(file.path);
+  }
+
+  const delta = { sources, deleted: [], renamed: [], modes: [], added: [], changed: [] };
+  const totalBytes = listing.reduce((total, { size }) => total + size, 0);
+  let bytesProcessed = 0;
+
+  for (const { path, mode } of listing) {
+    checkAborted(signal);
+    const data = await tree.read(checkPath(path));
+    const contentDigest = fileDigest(digest, data);
+    const old = oldFiles.get(path);
+
+    if (old && old.digest === contentDigest && old.size === data.byteLength) {
+      if (old.mode !== mode) delta.modes.push({ path, mode: checkMode(mode) });
+    } else if (!old && vacated.get(`${data.byteLength}:${contentDigest}`)?.length) {
+      delta.renamed.push({ from: vacated.get(`${data.byteLength}:${contentDigest}`).shift(), to: path, mode: checkMode(mode) });
+    } else {
+      const entry = { path, mode: checkMode(mode), size: data.byteLength };
+      if (merged && data.byteLength >= blockSize) {
+        entry.patch = createPatchDocument(merged, data, { compression, digest, signal });
+      } else {
+        entry.data = data;
+      }
+      (old ? delta.changed : delta.added).push(entry);
+    }
+
+    bytesProcessed += data.byteLength;
+    onProgress?.({
+      phase: 'delta',
+      bytesProcessed,
+      totalBytes,
+      percent: totalBytes ? (bytesProcessed / totalBytes) * 100 : 100
+    });
+  }
+
+  // Whatever no added file took over is gone
+  for (const paths of vacated.values()) delta.deleted.push(...paths);
+  delta.deleted.sort();
+
+  return delta;
+};
+
+/**
+ * Bring a tree up to date with a delta made against its manifest. Every
+ * new file is rebuilt and verified before the tree is touched, then
+ * deletions, renames, writes and mode changes are made in that order.
+ *
+ * @param {Object} delta - Tree delta from createTreeDelta
+ * @param {Object|Map} tree - The receiver's tree, as described by the manifest
+ * @param {Object} options - Optional configuration
+ * @param {number} options.maxOutputSize - Reject files larger than this
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @returns {Promise<void>}
+ */
+export const applyTreeDelta = async (delta, tree, options = {}) => {
+  const { maxOutputSize = Infinity, onProgress, signal } = options;
+  tree = toTree(tree);
+
+  for (const path of delta.deleted) checkPath(path);
+  for (const { from, to, mode } of delta.renamed) {
+    checkPath(from);
+    checkPath(to);
+    checkMode(mode);
+  }
+  for (const { path, mode } of delta.modes) {
+    checkPath(path);
+    checkMode(mode);
+  }
+
+  // Each old file is read once, however many patches copy from it
+  const baseCache = new Map();
+  const readBase = async (sourceId) => {
+    if (sourceId >= delta.sources.length) {
+      throw new FormatError(`Patch copies from unknown source ${sourceId}`, 'UNKNOWN_SOURCE');
+    }
+    const path = checkPath(delta.sources[sourceId]);
+    if (!baseCache.has(path)) baseCache.set(path, await tree.read(path));
+    return baseCache.get(path);
+  };
+
+  const entries = [...delta.added, ...delta.changed];
+  const writes = [];
+
+  for (const entry of entries) {
+    checkAborted(signal);
+    const { path, mode, size } = entry;
+    checkPath(path);
+    checkMode(mode);
+
+    let data = entry.data;
+    if (entry.patch) {
+      const { usedSources } = inspectDocument(entry.patch);
+      if (!usedSources) {
+        throw new FormatError(`Patch for ${path} is not a tree delta patch`, 'WRONG_TYPE');
+      }
+      const bases = new Map();
+      for (const sourceId of usedSources) bases.set(sourceId, await readBase(sourceId));
+      data = applyPatch(entry.patch, bases, { maxOutputSize, signal });
+    } else if (!(data instanceof ArrayBuffer)) {
+      throw new FormatError(`No patch or data for ${path}`, 'INVALID_OPERATION');
+    } else if (data.byteLength > maxOutputSize) {
+      throw new FormatError(
+        `File ${path} is ${data.byteLength} bytes, over the ${maxOutputSize} byte limit`,
+        'OUTPUT_TOO_LARGE'
+      );
+    }
+
+    if (data.byteLength !== size) {
+      throw new IntegrityError(`Rebuilt ${path} is ${data.byteLength} bytes, expected ${size}`, 'LENGTH_MISMATCH');
+    }
+
+    writes.push({ path, mode, data });
+    onProgress?.({
+      phase: 'rebuild',
+      filesProcessed: writes.length,
+      totalFiles: entries.length,
+      percent: (writes.length / entries.length) * 100
+    });
+  }
+
+  checkAborted(signal);
+  baseCache.clear();
+
+  for (const path of delta.deleted) await tree.remove(path);
+  for (const { from, to, mode } of delta.renamed) {
+    await tree.rename(from, to);
+    await tree.chmod(to, mode);
+  }
+  for (const { path, mode, data } of writes) await tree.write(path, data, mode);
+  for (const { path, mode } of delta.modes) await tree.chmod(path, mode);
+};
+
+/**
+ * Lay out a container: prefix, JSON, then the byte fields in order
+ */
+const encodeContainer = (kind, json, blobs) => {
+  const text = new TextEncoder().encode(JSON.stringify(json));
+  const total = TREE_PREFIX_SIZE + text.length + blobs.reduce((sum, blob) => sum + blob.byteLength, 0);
+  const buffer = new ArrayBuffer(total);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  view.setUint32(0, TREE_MAGIC, true);
+  view.setUint8(4, kind);
+  view.setUint8(5, TREE_VERSION);
+  view.setUint32(8, text.length, true);
+  bytes.set(text, TREE_PREFIX_SIZE);
+
+  let offset = TREE_PREFIX_SIZE + text.length;
+  for (const blob of blobs) {
+    bytes.set(new Uint8Array(blob), offset);
+    offset += blob.byteLength;
+  }
+  return buffer;
+};
+
+/**
+ * Read a container's JSON and return it with a reader for the byte fields,
+ * which hands out the next `length` bytes on each call
+ */
+const decodeContainer = (buffer, kind) => {
+  if (!(buffer instanceof ArrayBuffer)) {
+    throw new Error('Tree document must be an ArrayBuffer');
+  }
+  if (buffer.byteLength < TREE_PREFIX_SIZE) {
+    throw new FormatError('Tree document is truncated', 'TRUNCATED');
+  }
+
+  const view = new DataView(buffer);
+  if (view.getUint32(0, true) !== TREE_MAGIC) {
+    throw new FormatError('Not a tree document', 'UNRECOGNIZED');
+  }
+  if (view.getUint8(4) !== kind) {
+    throw new FormatError(`Expected a ${KIND_NAMES[kind]}, got kind ${view.getUint8(4)}`, 'WRONG_TYPE');
+  }
+  if (view.getUint8(5) !== TREE_VERSION) {
+    throw new FormatError(`Unsupported tree document version ${view.getUint8(5)}`, 'UNSUPPORTED_VERSION');
+  }
+
+  const textLength = view.getUint32(8, true);
+  let offset = TREE_PREFIX_SIZE + textLength;
+  if (offset > buffer.byteLength) {
+    throw new FormatError('Tree document is truncated', 'TRUNCATED');
+  }
+
+  let json;
+  try {
+    json = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, TREE_PREFIX_SIZE, textLength)));
+  } catch {
+    throw new FormatError('Tree document holds invalid JSON', 'INVALID_OPERATION');
+  }
+  if (json === null || typeof json !== 'object') {
+    throw new FormatError('Tree document holds invalid JSON', 'INVALID_OPERATION');
+  }
+
+  const nextBlob = (length) => {
+    if (!Number.isSafeInteger(length) || length < 0 || offset + length > buffer.byteLength) {
+      throw new FormatError('Tree document is truncated', 'TRUNCATED');
+    }
+    offset += length;
+    return buffer.slice(offset - length, offset);
+  };
+  const finish = () => {
+    if (offset !== buffer.byteLength) {
+      throw new FormatError(`${buffer.byteLength - offset} bytes after the end of the tree document`, 'TRAILING_DATA');
+    }
+  };
+
+  return { json, nextBlob, finish };
+};
+
+const listOf = (value) => {
+  if (!Array.isArray(value)) {
+    throw new FormatError('Tree document is missing a list', 'INVALID_OPERATION');
+  }
+  return value;
+};
+
+/**
+ * Serialize a manifest to send to the peer
+ *
+ * @param {Object} manifest - Manifest from createManifest
+ * @returns {ArrayBuffer} Manifest document
+ */
+export const encodeManifest = (manifest) => {
+  const { blockSize, hash, hashLength, digest, files } = manifest;
+  const blobs = [];
+  const entries = files.map(({ path, size, mode, digest: contentDigest, checksum }) => {
+    if (checksum) blobs.push(checksum);
+    return { path, size, mode, digest: contentDigest, checksum: checksum ? checksum.byteLength : null };
+  });
+  return encodeContainer(KIND_MANIFEST, { blockSize, hash, hashLength, digest, files: entries }, blobs);
+};
+
+/**
+ * Read a manifest document from the peer
+ *
+ * @param {ArrayBuffer} buffer - Manifest document
+ * @returns {Object} Manifest
+ */
+export const decodeManifest = (buffer) => {
+  const { json, nextBlob, finish } = decodeContainer(buffer, KIND_MANIFEST);
+  const { blockSize, hash, hashLength, digest } = json;
+  if (!Object.hasOwn(DIGESTS, digest)) {
+    throw new FormatError(`Unsupported digest ${digest}`, 'UNSUPPORTED_HASH');
+  }
+
+  const files = listOf(json.files).map(({ path, size, mode, digest: contentDigest, checksum }) => ({
+    path: checkPath(path),
+    size,
+    mode: checkMode(mode),
+    digest: String(contentDigest),
+    checksum: checksum === null ? null : nextBlob(checksum)
+  }));
+  finish();
+
+  return { blockSize, hash, hashLength, digest, files };
+};
+
+/**
+ * Serialize a tree delta to send to the peer
+ *
+ * @param {Object} delta - Tree delta from createTreeDelta
+ * @returns {ArrayBuffer} Tree delta document
+ */
+export const encodeTreeDelta = (delta) => {
+  const blobs = [];
+  const entry = ({ path, mode, size, patch, data }) => {
+    blobs.push(patch ?? data);
+    return patch ? { path, mode, size, patch: patch.byteLength } : { path, mode, size, data: data.byteLength };
+  };
+  const { sources, deleted, renamed, modes } = delta;
+  const added = delta.added.map(entry);
+  const changed = delta.changed.map(entry);
+  return encodeContainer(KIND_DELTA, { sources, deleted, renamed, modes, added, changed }, blobs);
+};
+
+/**
+ * Read a tree delta document from the peer. Paths are checked here and
+ * again when the delta is applied.
+ *
+ * @param {ArrayBuffer} buffer - Tree delta document
+ * @returns {Object} Tree delta
+ */
+export const decodeTreeDelta = (buffer) => {
+  const { json, nextBlob, finish } = decodeContainer(buffer, KIND_DELTA);
+  const entry = ({ path, mode, size, patch, data }) => {
+    const file = { path: checkPath(path), mode: checkMode(mode), size };
+    if (patch !== undefined) file.patch = nextBlob(patch);
+    else file.data = nextBlob(data);
+    return file;
+  };
+
+  const delta = {
+    sources: listOf(json.sources).map(checkPath),
+    deleted: listOf(json.deleted).map(checkPath),
+    renamed: listOf(json.renamed).map(({ from, to, mode }) => ({ from: checkPath(from), to: checkPath(to), mode: checkMode(mode) })),
+    modes: listOf(json.modes).map(({ path, mode }) => ({ path: checkPath(path), mode: checkMode(mode) })),
+    added: listOf(json.added).map(entry),
+    changed: listOf(json.changed).map(entry)
+  };
+  finish();
+
+  return delta;
+};
@@ -0,0 +1,82 @@
+/**
+ * bit-sync-esm MD4
+ * MD4 (RFC 1320), the strong hash of librsync's original signature format.
+ * It is broken as a cryptographic hash and only kept for reading and
+ * writing rdiff signatures.
+ *
+ * @license MIT
+ */
+
+const SHIFTS = [
+  [3, 7, 11, 19],
+  [3, 5, 9, 13],
+  [3, 9, 11, 15]
+];
+// Word order of rounds 2 and 3
+const ROUND2_ORDER = [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15];
+const ROUND3_ORDER = [0, 8, 4, 12, 2, 10, 6, 14, 1, 9, 5, 13, 3, 11, 7, 15];
+const ROUND2_CONSTANT = 0x5a827999;
+const ROUND3_CONSTANT = 0x6ed9eba1;
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+/**
+ * Run the compression function over one 64-byte block
+ */
+const compress = (state, words) => {
+  let [a, b, c, d] = state;
+
+  for (let i = 0; i < 16; i++) {
+    const f = (b & c) | (~b & d);
+    [a, b, c, d] = [d, rotl((a + f + words[i]) | 0, SHIFTS[0][i % 4]), b, c];
+  }
+  for (let i = 0; i < 16; i++) {
+    const g = (b & c) | (b & d) | (c & d);
+    [a, b, c, d] = [d, rotl((a + g + words[ROUND2_ORDER[i]] + ROUND2_CONSTANT) | 0, SHIFTS[1][i % 4]), b, c];
+  }
+  for (let i = 0; i < 16; i++) {
+    const h = b ^ c ^ d;
+    [a, b, c, d] = [d, rotl((a + h + words[ROUND3_ORDER[i]] + ROUND3_CONSTANT) | 0, SHIFTS[2][i % 4]), b, c];
+  }
+
+  state[0] = (state[0] + a) | 0;
+  state[1] = (state[1] + b) | 0;
+  state[2] = (state[2] + c) | 0;
+  state[3] = (state[3] + d) | 0;
+};
+
+/**
+ * Hash bytes with MD4
+ *
+ * @param {Uint8Array} bytes - Data to hash
+ * @returns {Uint8Array} 16-byte hash
+ */
+export const md4 = (bytes) => {
+  const state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+  const words = new Int32Array(16);
+  const fullBlocks = bytes.length >>> 6;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  for (let block = 0; block < fullBlocks; block++) {
+    for (let i = 0; i < 16; i++) words[i] = view.getInt32(block * 64 + i * 4, true);
+    compress(state, words);
+  }
+
+  // Padding: 0x80, zeros, then the bit length as a little-endian u64
+  const tail = new Uint8Array(bytes.length % 64 < 56 ? 64 : 128);
+  tail.set(bytes.subarray(fullBlocks * 64));
+  tail[bytes.length % 64] = 0x80;
+  const tailView = new DataView(tail.buffer);
+  tailView.setUint32(tail.length - 8, (bytes.length * 8) >>> 0, true);
+  tailView.setUint32(tail.length - 4, Math.floor(bytes.length / 0x20000000), true);
+
+  for (let offset = 0; offset < tail.length; offset += 64) {
+    for (let i = 0; i < 16; i++) words[i] = tailView.getInt32(offset + i * 4, true);
+    compress(state, words);
+  }
+
+  const digest = new Uint8Array(16);
+  const digestView = new DataView(digest.buffer);
+  state.forEach((word, i) => digestView.setInt32(i * 4, word, true));
+  return digest;
+};
@@ -0,0 +1,265 @@
+/**
+ * bit-sync-esm for Node.js
+ * File system trees for the manifest layer, and signing and patching files
+ * on disk
+ *
+ * @license MIT
+ */
+
+import { mkdir, open, readdir, readFile, rename, rm, rmdir, stat, unlink, writeFile, chmod } from 'node:fs/promises';
+import { dirname, join, relative, sep } from 'node:path';
+import {
+  applyPatch,
+  applyPatchStream,
+  canPatchInPlace,
+  concatChecksumDocuments,
+  createChecksumDocument,
+  inspectDocument,
+  optimizeBlockSize
+} from './index.js';
+
+// Files are checksummed in slices of about this size, a whole number of
+// blocks each, and the slices' documents joined
+const SLICE_SIZE = 16 * 1024 * 1024;
+
+// New content is written next to its file under a temporary name, then
+// renamed into place. Names of this form are never listed, so one left by
+// an interrupted write doesn't spread to peers.
+const temporaryPath = (path) => `${path}.bit-sync-${process.pid}.tmp`;
+const TEMPORARY_NAME = /\.bit-sync-\d+\.tmp$/;
+
+const toArrayBuffer = (buffer) => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+/**
+ * A directory on disk as a tree for createManifest, createTreeDelta and
+ * applyTreeDelta. Only regular files are listed; symbolic links and other
+ * special files are skipped. Files are written to a temporary name and
+ * renamed into place, and directories left empty by a removal or rename
+ * are removed.
+ *
+ * @param {string} root - Directory holding the tree
+ * @returns {Object} Tree
+ */
+export const fsTree = (root) => {
+  const resolve = (path) => join(root, ...path.split('/'));
+
+  // Remove directories emptied by a removal, up to but not including the root
+  const prune = async (directory) => {
+    while (relative(root, directory) !== '' && !relative(root, directory).startsWith('..')) {
+      if ((await readdir(directory)).length > 0) return;
+      await rmdir(directory);
+      directory = dirname(directory);
+    }
+  };
+
+  const walk = async (directory, files) => {
+    for (const entry of await readdir(directory, { withFileTypes: true })) {
+      const fullPath = join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath, files);
+      } else if (entry.isFile() && !TEMPORARY_NAME.test(entry.name)) {
+        const { size, mode } = await stat(fullPath);
+        files.push({ path: relative(root, fullPath).split(sep).join('/'), size, mode: mode & 0o7777 });
+      }
+    }
+    return files;
+  };
+
+  return {
+    root,
+    list: () => walk(root, []),
+    read: async (path) => toArrayBuffer(await readFile(resolve(path))),
+    write: async (path, data, mode = 0o644) => {
+      const target = resolve(path);
+      const temporary = temporaryPath(target);
+      await mkdir(dirname(target), { recursive: true });
+      await writeFile(temporary, new Uint8Array(data), { mode });
+      await chmod(temporary, mode);
+      await rename(temporary, target);
+    },
+    remove: async (path) => {
+      await unlink(resolve(path));
+      await prune(dirname(resolve(path)));
+    },
+    rename: async (from, to) => {
+      await mkdir(dirname(resolve(to)), { recursive: true });
+      await rename(resolve(from), resolve(to));
+      await prune(dirname(resolve(from)));
+    },
+    chmod: (path, mode) => chmod(resolve(path), mode)
+  };
+};
+
+/**
+ * Create the checksum document of a file without loading it whole. The file
+ * is read in slices of whole blocks, and the tail is read with the slice
+ * before it, so only a file smaller than one block changes the block size.
+ * The result is identical to createChecksumDocument over the whole file.
+ *
+ * @param {string} path - File to checksum
+ * @param {Object} options - Optional configuration
+ * @param {number|'auto'} options.blockSize - Block size, or 'auto' for
+ *   optimizeBlockSize of the file's size (default 'auto')
+ * @param {string} options.hash - Strong hash, as for createChecksumDocument
+ * @param {number} options.hashLength - Strong hash length, as for createChecksumDocument
+ * @param {Function} options.onProgress - Progress callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @returns {Promise<ArrayBuffer>} Checksum document
+ */
+export const signFile = async (path, options = {}) => {
+  const { blockSize: blockSizeOption = 'auto', hash, hashLength, onProgress, signal } = options;
+  const handle = await open(path, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    const blockSize = blockSizeOption === 'auto' ? optimizeBlockSize(size) : blockSizeOption;
+    const sliceSize = blockSize * Math.max(1, Math.floor(SLICE_SIZE / blockSize));
+    const slices = [];
+    let offset = 0;
+
+    do {
+      if (signal?.aborted) {
+        throw new Error('Operation cancelled');
+      }
+
+      let length = Math.min(sliceSize, size - offset);
+      if (size - offset - length < blockSize) length = size - offset;
+
+      const slice = new Uint8Array(length);
+      for (let read = 0; read < length;) {
+        const { bytesRead } = await handle.read(slice, read, length - read, offset + read);
+        if (bytesRead === 0) throw new Error(`${path} got shorter while it was read`);
+        read += bytesRead;
+      }
+      slices.push(createChecksumDocument(blockSize, slice.buffer, { hash, hashLength, signal }));
+
+      offset += length;
+      onProgress?.({
+        phase: 'checksum',
+        bytesProcessed: offset,
+        totalBytes: size,
+        percent: size ? (offset / size) * 100 : 100
+      });
+    } while (offset < size);
+
+    return concatChecksumDocuments(...slices);
+  } finally {
+    await handle.close();
+  }
+};
+
+// A sink writing at increasing positions of an open file
+const fileSink = (handle) => {
+  let position = 0;
+  return {
+    write: async (chunk) => {
+      for (let done = 0; done < chunk.length;) {
+        const { bytesWritten } = await handle.write(chunk, done, chunk.length - done, position);
+        done += bytesWritten;
+        position += bytesWritten;
+      }
+    }
+  };
+};
+
+// Apply a patch from an open file to a sink. VCDIFF patches can't be
+// streamed, so for them the file is read whole and patched in memory.
+const applyToFile = async (patchDocument, target, sink, options) => {
+  const info = inspectDocument(patchDocument);
+  if (info.type !== 'vcdiff') {
+    return applyPatchStream(patchDocument, target, sink, options);
+  }
+
+  const { verify = 'throw', onProgress, signal, maxOutputSize } = options;
+  const result = applyPatch(patchDocument, toArrayBuffer(await target.readFile()), { verify, onProgress, signal, maxOutputSize });
+  const data = verify === 'report' ? result.data : result;
+  await sink.write(new Uint8Array(data));
+
+  // With 'throw', a window that failed its checksum has already thrown
+  const checked = info.checksummedWindows > 0 ? true : null;
+  return { bytesWritten: data.byteLength, verified: verify === 'report' ? result.verified : (verify ? checked : null) };
+};
+
+// Make a rename durable. Directories can't be opened for syncing on every
+// platform (Windows), where this is skipped.
+const syncDirectory = async (directory) => {
+  let handle;
+  try {
+    handle = await open(directory, 'r');
+    await handle.sync();
+  } catch {
+    // Not supported here
+  } finally {
+    await handle?.close();
+  }
+};
+
+/**
+ * Apply a patch to a file on disk. The result is built in a temporary file
+ * next to it, from blocks streamed out of the old file, then flushed to disk
+ * and renamed over the target, so a crash or a failed check leaves either
+ * the old file or the new one, never a mix. The file keeps its mode.
+ *
+ * With `inplace`, blocks are rewritten within the file itself, as rsync's
+ * --inplace does, which needs no room for a second copy. That is only done
+ * when canPatchInPlace says the patch's block order allows it; other
+ * patches fall back to the temporary file. An in-place update interrupted
+ * or failing its check leaves the file half-written. VCDIFF patches are
+ * applied in memory, from the whole old file.
+ *
+ * @param {string} targetPath - File to update
+ * @param {ArrayBuffer} patchDocument - Patch made against the file's current content
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.inplace - Rewrite the file in place when it is safe (default false)
+ * @param {Function} options.onProgress - Progress callback
+ * @param {Function} options.onBlockApplied - Block applied callback
+ * @param {AbortSignal} options.signal - Cancellation signal
+ * @param {'throw'|'report'|false} options.verify - As for applyPatchStream (default 'throw')
+ * @param {number} options.maxOutputSize - Reject patches that would produce
+ *   more bytes than this
+ * @returns {Promise<{ bytesWritten: number, verified: boolean|null, inplace: boolean }>}
+ *   Size of the new file, whether it passed the patch's checks, and whether
+ *   it was rewritten in place
+ */
+export const syncFile = async (targetPath, patchDocument, options = {}) => {
+  const { inplace = false, ...applyOptions } = options;
+  const streamOptions = { ...applyOptions, preventClose: true };
+  const temporary = temporaryPath(targetPath);
+  let result;
+
+  const target = await open(targetPath, inplace ? 'r+' : 'r');
+  try {
+    const { size, mode } = await target.stat();
+
+    if (inplace && canPatchInPlace(patchDocument, size)) {
+      result = await applyPatchStream(patchDocument, target, fileSink(target), streamOptions);
+      await target.truncate(result.bytesWritten);
+      await target.sync();
+      return { ...result, inplace: true };
+    }
+
+    const output = await open(temporary, 'w', mode & 0o7777);
+    try {
+      result = await applyToFile(patchDocument, target, fileSink(output), streamOptions);
+      await output.chmod(mode & 0o7777);
+      await output.sync();
+    } catch (err) {
+      await output.close();
+      await rm(temporary, { force: true });
+      throw err;
+    }
+    await output.close();
+  } finally {
+    await target.close();
+  }
+
+  // The target is closed first: Windows can't rename over an open file
+  try {
+    await rename(temporary, targetPath);
+  } catch (err) {
+    await rm(temporary, { force: true });
+    throw err;
+  }
+  await syncDirectory(dirname(targetPath));
+  return { ...result, inplace: false };
+};
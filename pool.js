@@ -0,0 +1,292 @@
+/**
+ * bit-sync-esm worker pool
+ * Async versions of the checksum, patch and apply functions that run off
+ * the main thread, in browser Workers or Node.js worker_threads
+ *
+ * @license MIT
+ */
+
+import { concatChecksumDocuments } from './index.js';
+import { toError } from './errors.js';
+
+// Checksum jobs are only split when every slice gets at least this much data
+const MIN_SLICE_SIZE = 1024 * 1024;
+
+const wrapWebWorker = (worker) => ({
+  post: (message, transfer) => worker.postMessage(message, transfer),
+  listen: (onMessage, onError) => {
+    worker.addEventListener('message', (event) => onMessage(event.data));
+    worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      onError(new Error(event.message || 'Worker failed'));
+    });
+  },
+  setBusy: () => {},
+  terminate: () => worker.terminate()
+});
+
+const wrapNodeWorker = (worker) => ({
+  post: (message, transfer) => worker.postMessage(message, transfer),
+  listen: (onMessage, onError) => {
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', (code) => onError(new Error(`Worker exited with code ${code}`)));
+  },
+  // Idle workers don't keep the process alive
+  setBusy: (busy) => (busy ? worker.ref() : worker.unref()),
+  terminate: () => worker.terminate()
+});
+
+/**
+ * Pick the worker implementation: Web Workers where the global exists
+ * (browsers, Deno, Bun), worker_threads in Node.js
+ */
+const loadPlatform = async () => {
+  if (typeof Worker === 'function') {
+    return {
+      concurrency: globalThis.navigator?.hardwareConcurrency || 4,
+      spawn: (url) => wrapWebWorker(new Worker(url, { type: 'module' }))
+    };
+  }
+
+  const [{ Worker: NodeWorker }, os] = await Promise.all([
+    import('node:worker_threads'),
+    import('node:os')
+  ]);
+  return {
+    // availableParallelism is Node 18.14+
+    concurrency: os.availableParallelism?.() ?? (os.cpus().length || 1),
+    spawn: (url) => wrapNodeWorker(new NodeWorker(url))
+  };
+};
+
+/**
+ * Split data into block-aligned [start, end) slices, one per worker. The
+ * last slice takes the remainder, so each one holds at least a full block.
+ */
+const planSlices = (blockSize, length, workers) => {
+  if (!Number.isInteger(blockSize) || blockSize < 1 || blockSize > length) {
+    return [[0, length]];
+  }
+
+  const numBlocks = Math.ceil(length / blockSize);
+  const minBlocks = Math.ceil(MIN_SLICE_SIZE / blockSize);
+  const count = Math.max(1, Math.min(workers, Math.floor(numBlocks / minBlocks)));
+  const sliceSize = Math.floor(numBlocks / count) * blockSize;
+
+  return Array.from({ length: count }, (_, i) => [
+    i * sliceSize,
+    i === count - 1 ? length : (i + 1) * sliceSize
+  ]);
+};
+
+const buffersOf = (data) => {
+  if (data instanceof ArrayBuffer) return [data];
+  const values = data instanceof Map ? [...data.values()] : Array.isArray(data) ? data : [];
+  return [...new Set(values.filter(value => value instanceof ArrayBuffer))];
+};
+
+/**
+ * Options that can be posted to a worker; callbacks and the signal stay here
+ */
+const workerOptions = ({ onProgress, onBlockApplied, signal, transfer, ...options }) => options;
+
+/**
+ * Create a pool of workers running createChecksumDocument,
+ * createPatchDocument and applyPatch off the main thread. Workers are
+ * started on demand. Checksums of large inputs are split across workers by
+ * block range; the result is identical to the single-threaded one.
+ *
+ * @param {Object} options - Optional configuration
+ * @param {number} options.workers - Maximum number of workers (default: CPU count)
+ * @param {URL|string} options.workerURL - Worker script, if bundled elsewhere
+ * @returns {Object} Pool with async createChecksumDocument, createPatchDocument,
+ *   applyPatch and terminate
+ */
+export const createSyncPool = (options = {}) => {
+  const { workerURL = new URL('./worker.js', import.meta.url) } = options;
+
+  if (options.workers !== undefined && (!Number.isInteger(options.workers) || options.workers < 1)) {
+    throw new Error('workers must be a positive integer');
+  }
+
+  let platform = null;
+  let size = options.workers;
+  let nextId = 1;
+  let terminated = false;
+  const slots = new Set();
+  const idle = [];
+  const queue = [];
+
+  const ready = async () => {
+    platform ??= await loadPlatform();
+    size ??= platform.concurrency;
+  };
+
+  const retire = (slot) => {
+    slots.delete(slot);
+    const idleIndex = idle.indexOf(slot);
+    if (idleIndex !== -1) idle.splice(idleIndex, 1);
+    slot.task = null;
+    return slot.worker.terminate();
+  };
+
+  const settle = (slot, task) => {
+    task.signal?.removeEventListener('abort', task.onAbort);
+    slot.task = null;
+    slot.worker.setBusy(false);
+    idle.push(slot);
+  };
+
+  const onMessage = (slot, message) => {
+    const { task } = slot;
+    if (!task || message.id !== task.id) return;
+
+    if ('progress' in message) {
+      task.onProgress?.(message.progress);
+      return;
+    }
+
+    settle(slot, task);
+    if (message.error) {
+      task.reject(toError(message.error));
+    } else {
+      task.resolve(message.result);
+    }
+    dispatch();
+  };
+
+  const spawnSlot = () => {
+    const slot = { worker: platform.spawn(workerURL), task: null };
+    slot.worker.listen(
+      (message) => onMessage(slot, message),
+      (error) => {
+        if (!slots.has(slot)) return;
+        const { task } = slot;
+        retire(slot);
+        task?.reject(error);
+        dispatch();
+      }
+    );
+    slots.add(slot);
+    return slot;
+  };
+
+  const dispatch = () => {
+    while (queue.length > 0) {
+      const slot = idle.pop() ?? (slots.size < size ? spawnSlot() : null);
+      if (!slot) return;
+
+      const task = queue.shift();
+      task.slot = slot;
+      slot.task = task;
+      slot.worker.setBusy(true);
+      slot.worker.post(
+        { id: task.id, method: task.method, args: task.args, progress: Boolean(task.onProgress) },
+        task.transfer
+      );
+    }
+  };
+
+  const call = async (method, args, transfer, { onProgress, signal } = {}) => {
+    if (terminated) throw new Error('Pool has been terminated');
+    await ready();
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('Operation cancelled'));
+        return;
+      }
+
+      const task = { id: nextId++, method, args, transfer, onProgress, signal, resolve, reject, slot: null };
+
+      // A worker can't be interrupted mid-call, so cancelling replaces it
+      task.onAbort = () => {
+        const queued = queue.indexOf(task);
+        if (queued !== -1) queue.splice(queued, 1);
+        if (task.slot?.task === task) retire(task.slot);
+        reject(new Error('Operation cancelled'));
+        dispatch();
+      };
+      signal?.addEventListener('abort', task.onAbort, { once: true });
+
+      queue.push(task);
+      dispatch();
+    });
+  };
+
+  return {
+    /**
+     * Async createChecksumDocument, split across workers by block range
+     */
+    async createChecksumDocument(blockSize, data, options = {}) {
+      if (!(data instanceof ArrayBuffer)) {
+        throw new Error('Data must be an ArrayBuffer');
+      }
+      await ready();
+
+      // A whole-file digest can't be joined from slices
+      const { onProgress, signal, transfer, digest } = options;
+      const slices = digest ? [[0, data.byteLength]] : planSlices(blockSize, data.byteLength, size);
+
+      if (slices.length === 1) {
+        return call('createChecksumDocument', [blockSize, data, workerOptions(options)],
+          transfer ? [data] : [], options);
+      }
+
+      const totalBlocks = Math.ceil(data.byteLength / blockSize);
+      const blocksProcessed = slices.map(() => 0);
+      const reportSlice = (i) => ({ blocksProcessed: done }) => {
+        blocksProcessed[i] = done;
+        const total = blocksProcessed.reduce((sum, n) => sum + n, 0);
+        onProgress({
+          phase: 'checksum',
+          blocksProcessed: total,
+          totalBlocks,
+          percent: (total / totalBlocks) * 100
+        });
+      };
+
+      const documents = await Promise.all(slices.map(([start, end], i) => {
+        const slice = data.slice(start, end);
+        return call('createChecksumDocument', [blockSize, slice, workerOptions(options)], [slice], {
+          signal,
+          onProgress: onProgress && reportSlice(i)
+        });
+      }));
+
+      return concatChecksumDocuments(...documents);
+    },
+
+    /**
+     * Async createPatchDocument, run in a worker
+     */
+    createPatchDocument(checksumDocument, data, options = {}) {
+      return call('createPatchDocument', [checksumDocument, data, workerOptions(options)],
+        options.transfer && data instanceof ArrayBuffer ? [data] : [], options);
+    },
+
+    /**
+     * Async applyPatch, run in a worker
+     */
+    applyPatch(patchDocument, data, options = {}) {
+      return call('applyPatch', [patchDocument, data, workerOptions(options)],
+        options.transfer ? buffersOf(data) : [], options);
+    },
+
+    /**
+     * Stop every worker; pending calls reject
+     */
+    async terminate() {
+      terminated = true;
+
+      for (const task of queue.splice(0)) {
+        task.reject(new Error('Pool has been terminated'));
+      }
+      await Promise.all([...slots].map((slot) => {
+        slot.task?.reject(new Error('Pool has been terminated'));
+        return retire(slot);
+      }));
+    }
+  };
+};
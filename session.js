@@ -0,0 +1,471 @@
+/**
+ * bit-sync-esm sync session
+ * The checksum → patch → result exchange between two peers over any
+ * message transport (WebRTC DataChannel, WebSocket, or in-process)
+ *
+ * @license MIT
+ */
+
+import {
+  createChecksumDocument,
+  createPatchDocument,
+  applyPatch,
+  FormatError
+} from './index.js';
+import { serializeError, toError } from './errors.js';
+
+// Messages: u8 kind, u32 sync id, then the body
+const FRAME_HEADER_SIZE = 5;
+const MSG_START = 1; // u8 document type, u64 document length
+const MSG_DATA = 2; // The next bytes of the document
+const MSG_DONE = 3; // UTF-8 JSON result from the receiver
+const MSG_ERROR = 4; // UTF-8 JSON { name, message, code }
+const MSG_CANCEL = 5; // No body
+
+// Same ids as the document header's type field
+const DOC_CHECKSUM = 1;
+const DOC_PATCH = 2;
+const DOCUMENT_NAMES = { [DOC_CHECKSUM]: 'checksum', [DOC_PATCH]: 'patch' };
+
+// Fits the message size every DataChannel implementation accepts
+const DEFAULT_MAX_MESSAGE_SIZE = 16 * 1024;
+const MIN_MESSAGE_SIZE = 64;
+const DEFAULT_HIGH_WATER_MARK = 1024 * 1024;
+
+const toBytes = (frame) => {
+  if (frame instanceof ArrayBuffer) return new Uint8Array(frame);
+  if (ArrayBuffer.isView(frame)) return new Uint8Array(frame.buffer, frame.byteOffset, frame.byteLength);
+  throw new FormatError('Sync messages must be binary', 'UNRECOGNIZED');
+};
+
+const encodeFrame = (kind, syncId, body = new Uint8Array(0)) => {
+  const frame = new Uint8Array(FRAME_HEADER_SIZE + body.length);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, kind);
+  view.setUint32(1, syncId, true);
+  frame.set(body, FRAME_HEADER_SIZE);
+  return frame;
+};
+
+const encodeJson = (value) => new TextEncoder().encode(JSON.stringify(value));
+
+const decodeJson = (body) => {
+  try {
+    return JSON.parse(new TextDecoder().decode(body));
+  } catch {
+    throw new FormatError('Sync message holds invalid JSON', 'INVALID_OPERATION');
+  }
+};
+
+/**
+ * Two linked in-process transports: frames sent on one arrive at the other,
+ * asynchronously and in order. Useful for tests and same-page peers.
+ *
+ * @returns {[Object, Object]} Transports for the two ends
+ */
+export const createTransportPair = () => {
+  const listeners = [new Set(), new Set()];
+  const end = (self) => ({
+    send: async (frame) => {
+      const copy = toBytes(frame).slice();
+      await Promise.resolve();
+      for (const listener of listeners[1 - self]) listener(copy.buffer);
+    },
+    receive: (onFrame) => {
+      listeners[self].add(onFrame);
+      return () => listeners[self].delete(onFrame);
+    }
+  });
+  return [end(0), end(1)];
+};
+
+/**
+ * Wrap an RTCDataChannel or WebSocket as a transport. Sending waits while
+ * more than `highWaterMark` bytes are queued on the channel, so a large
+ * document doesn't pile up in memory.
+ *
+ * @param {RTCDataChannel|WebSocket} channel - Open channel
+ * @param {Object} options - Optional configuration
+ * @param {number} options.highWaterMark - Queued bytes before sending pauses (default 1 MB)
+ * @returns {Object} Transport
+ */
+export const channelTransport = (channel, options = {}) => {
+  const { highWaterMark = DEFAULT_HIGH_WATER_MARK } = options;
+  channel.binaryType = 'arraybuffer';
+
+  // DataChannels announce when their queue drains; WebSockets are polled
+  const drained = () => new Promise((resolve) => {
+    if ('bufferedAmountLowThreshold' in channel) {
+      channel.bufferedAmountLowThreshold = highWaterMark;
+      channel.addEventListener('bufferedamountlow', () => resolve(), { once: true });
+    } else {
+      const poll = () => (channel.bufferedAmount > highWaterMark ? setTimeout(poll, 10) : resolve());
+      setTimeout(poll, 10);
+    }
+  });
+
+  return {
+    send: async (frame) => {
+      while (channel.bufferedAmount > highWaterMark) {
+        await drained();
+      }
+      channel.send(frame);
+    },
+    receive: (onFrame) => {
+      const listener = (event) => onFrame(event.data);
+      channel.addEventListener('message', listener);
+      return () => channel.removeEventListener('message', listener);
+    }
+  };
+};
+
+/**
+ * One end of a sync over a message transport. The receiver, which holds the
+ * old data, sends its checksum document; the sender answers with a patch;
+ * the receiver applies it and reports the result back. Documents are split
+ * into messages of at most `maxMessageSize` bytes, each send is awaited for
+ * backpressure, and a failure or cancellation on either side is reported to
+ * the other, which rejects with the same error.
+ *
+ * A transport is `{ send(frame), receive(onFrame) }`: `send` may return a
+ * promise to slow the session down, and `receive` registers the handler
+ * for incoming frames, optionally returning a function that removes it.
+ */
+export class SyncSession {
+  /**
+   * @param {Object} transport - `{ send, receive }` pair
+   * @param {Object} options - Optional configuration
+   * @param {number} options.maxMessageSize - Largest message sent, in bytes (default 16384)
+   * @param {number} options.maxDocumentSize - Reject incoming documents
+   *   larger than this (default Infinity)
+   * @param {Object} options.pool - A createSyncPool pool to run the
+   *   checksum, patch and apply steps in workers
+   */
+  constructor(transport, options = {}) {
+    if (typeof transport?.send !== 'function' || typeof transport?.receive !== 'function') {
+      throw new Error('Transport must have send and receive functions');
+    }
+
+    const { maxMessageSize = DEFAULT_MAX_MESSAGE_SIZE, maxDocumentSize = Infinity, pool = null } = options;
+    if (!Number.isInteger(maxMessageSize) || maxMessageSize < MIN_MESSAGE_SIZE) {
+      throw new Error(`maxMessageSize must be an integer of at least ${MIN_MESSAGE_SIZE}`);
+    }
+
+    this.transport = transport;
+    this.maxMessageSize = maxMessageSize;
+    this.maxDocumentSize = maxDocumentSize;
+    this.sync = pool ?? { createChecksumDocument, createPatchDocument, applyPatch };
+
+    this.nextSyncId = 1;
+    this.lastPeerSyncId = 0;
+    this.current = null;
+    this.closed = false;
+    this.failure = null;
+
+    // Complete messages not yet taken, the operation waiting for one, and
+    // the document being received
+    this.inbox = [];
+    this.waiter = null;
+    this.incoming = null;
+
+    const unsubscribe = transport.receive((frame) => this.onFrame(frame));
+    this.unsubscribe = typeof unsubscribe === 'function' ? unsubscribe : null;
+  }
+
+  /**
+   * Receive the peer's version of the data: send checksums of `data`,
+   * apply the patch that comes back and report the result to the peer
+   *
+   * @param {ArrayBuffer} data - The old data
+   * @param {Object} options - Optional configuration
+   * @param {number} options.blockSize - Block size for the checksums (default 4096)
+   * @param {'blake2s'|'blake3'|'sha256'|'xxh128'|'blake2b'|'md4'} options.hash - Strong hash (default 'blake2s')
+   * @param {number} options.hashLength - Strong hash bytes per block (default 16)
+   * @param {number} options.maxOutputSize - Reject patches that would produce
+   *   more bytes than this
+   * @param {Function} options.onProgress - Progress callback
+   * @param {AbortSignal} options.signal - Cancellation signal
+   * @returns {Promise<ArrayBuffer>} The peer's data
+   */
+  async receive(data, options = {}) {
+    if (!(data instanceof ArrayBuffer)) {
+      throw new Error('Data must be an ArrayBuffer');
+    }
+
+    const { blockSize, hash, hashLength, maxOutputSize, onProgress, signal } = options;
+    return this.run(options, async (current) => {
+      current.syncId = this.nextSyncId++;
+
+      const checksums = await this.sync.createChecksumDocument(blockSize, data, { hash, hashLength, onProgress, signal });
+      await this.sendDocument(DOC_CHECKSUM, checksums);
+
+      const { document: patch } = await this.expectDocument(DOC_PATCH);
+      const result = await this.sync.applyPatch(patch, data, { maxOutputSize, onProgress, signal });
+
+      await this.transport.send(encodeFrame(MSG_DONE, current.syncId, encodeJson({ byteLength: result.byteLength })));
+      return result;
+    });
+  }
+
+  /**
+   * Send this side's data to a peer calling receive: wait for its checksums,
+   * answer with a patch and wait for the peer to report the result
+   *
+   * @param {ArrayBuffer} data - The new data
+   * @param {Object} options - createPatchDocument options (`compression`,
+   *   `digest`, `selfReference`, ...) plus `onProgress` and `signal`
+   * @returns {Promise<{ patchSize: number, byteLength: number }>} Size of the
+   *   patch sent and of the data the peer rebuilt
+   */
+  async send(data, options = {}) {
+    if (!(data instanceof ArrayBuffer)) {
+      throw new Error('Data must be an ArrayBuffer');
+    }
+
+    return this.run(options, async () => {
+      const { document: checksums } = await this.expectDocument(DOC_CHECKSUM);
+      const patch = await this.sync.createPatchDocument(checksums, data, options);
+      await this.sendDocument(DOC_PATCH, patch);
+
+      const { result } = await this.expect('done');
+      return { patchSize: patch.byteLength, byteLength: result.byteLength };
+    });
+  }
+
+  /**
+   * Stop listening to the transport; a sync in progress rejects
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.unsubscribe?.();
+    this.waiter?.reject(new Error('Session has been closed'));
+    this.waiter = null;
+  }
+
+  /**
+   * Run one exchange. An error raised here is reported to the peer (as a
+   * cancellation if the signal fired); one reported by the peer is not
+   * echoed back.
+   */
+  async run({ onProgress, signal }, exchange) {
+    if (this.closed) throw new Error('Session has been closed');
+    if (this.failure) throw this.failure;
+    if (this.current) throw new Error('A sync is already in progress on this session');
+    if (signal?.aborted) throw new Error('Operation cancelled');
+
+    const current = { syncId: null, onProgress, signal, fromPeer: null };
+    this.current = current;
+
+    try {
+      return await exchange(current);
+    } catch (error) {
+      if (current.syncId !== null && error !== current.fromPeer && !this.closed) {
+        const frame = signal?.aborted
+          ? encodeFrame(MSG_CANCEL, current.syncId)
+          : encodeFrame(MSG_ERROR, current.syncId, encodeJson(serializeError(error)));
+        await Promise.resolve(this.transport.send(frame)).catch(() => {});
+      }
+      throw signal?.aborted && error !== current.fromPeer ? new Error('Operation cancelled') : error;
+    } finally {
+      this.current = null;
+    }
+  }
+
+  async sendDocument(type, document) {
+    const { syncId, onProgress, signal } = this.current;
+    const bytes = new Uint8Array(document);
+    const chunkSize = this.maxMessageSize - FRAME_HEADER_SIZE;
+
+    const start = new Uint8Array(9);
+    const view = new DataView(start.buffer);
+    view.setUint8(0, type);
+    view.setUint32(1, bytes.length % 0x100000000, true);
+    view.setUint32(5, Math.floor(bytes.length / 0x100000000), true);
+    await this.transport.send(encodeFrame(MSG_START, syncId, start));
+
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+      if (signal?.aborted) {
+        throw new Error('Operation cancelled');
+      }
+
+      const end = Math.min(offset + chunkSize, bytes.length);
+      await this.transport.send(encodeFrame(MSG_DATA, syncId, bytes.subarray(offset, end)));
+      onProgress?.({ phase: 'send', bytesSent: end, totalBytes: bytes.length, percent: (end / bytes.length) * 100 });
+    }
+  }
+
+  /**
+   * Wait for the next message of the current exchange. Messages left over
+   * from earlier, abandoned exchanges are skipped.
+   */
+  async expect(kind) {
+    const current = this.current;
+
+    while (true) {
+      const message = await this.nextMessage(current.signal);
+
+      if (message.kind === 'invalid') throw message.error;
+      if (current.syncId === null ? message.syncId <= this.lastPeerSyncId : message.syncId !== current.syncId) {
+        continue;
+      }
+
+      // The sender joins the exchange the receiver started
+      if (current.syncId === null) {
+        current.syncId = message.syncId;
+        this.lastPeerSyncId = message.syncId;
+      }
+
+      if (message.kind === 'refused') throw message.error;
+      if (message.kind === 'error' || message.kind === 'cancel') {
+        current.fromPeer = message.kind === 'error' ? message.error : new Error('Sync cancelled by peer');
+        throw current.fromPeer;
+      }
+      if (message.kind !== kind) {
+        throw new FormatError(`Expected a ${kind} message, got ${message.kind}`, 'UNEXPECTED_MESSAGE');
+      }
+      return message;
+    }
+  }
+
+  async expectDocument(type) {
+    const message = await this.expect('document');
+    if (message.type !== type) {
+      throw new FormatError(
+        `Expected a ${DOCUMENT_NAMES[type]} document, got ${DOCUMENT_NAMES[message.type] ?? `type ${message.type}`}`,
+        'WRONG_TYPE'
+      );
+    }
+    return message;
+  }
+
+  nextMessage(signal) {
+    if (this.closed) {
+      return Promise.reject(new Error('Session has been closed'));
+    }
+    if (this.inbox.length > 0) {
+      return Promise.resolve(this.inbox.shift());
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiter = null;
+        reject(new Error('Operation cancelled'));
+      };
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      this.waiter = { resolve: settle(resolve), reject: settle(reject) };
+    });
+  }
+
+  deliver(message) {
+    const { waiter } = this;
+    if (waiter) {
+      this.waiter = null;
+      waiter.resolve(message);
+    } else {
+      this.inbox.push(message);
+    }
+  }
+
+  onFrame(frame) {
+    if (this.closed || this.failure) return;
+
+    let message;
+    try {
+      message = this.decodeFrame(toBytes(frame));
+    } catch (error) {
+      // Garbage on the wire leaves the session unusable
+      this.failure = error;
+      message = { kind: 'invalid', syncId: null, error };
+    }
+    if (message) this.deliver(message);
+  }
+
+  decodeFrame(bytes) {
+    if (bytes.length < FRAME_HEADER_SIZE) {
+      throw new FormatError('Sync message is too short', 'TRUNCATED');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const kind = view.getUint8(0);
+    const syncId = view.getUint32(1, true);
+    const body = bytes.subarray(FRAME_HEADER_SIZE);
+
+    if (kind === MSG_START) {
+      if (body.length !== 9) {
+        throw new FormatError('Document start message has the wrong length', 'TRUNCATED');
+      }
+
+      const type = view.getUint8(FRAME_HEADER_SIZE);
+      const length = view.getUint32(FRAME_HEADER_SIZE + 5, true) * 0x100000000 + view.getUint32(FRAME_HEADER_SIZE + 1, true);
+      if (length > this.maxDocumentSize) {
+        // Drop the announced bytes as they arrive, and fail this exchange
+        this.incoming = { syncId, length, received: 0, parts: null };
+        return {
+          kind: 'refused',
+          syncId,
+          error: new FormatError(`Incoming document of ${length} bytes is over the ${this.maxDocumentSize} byte limit`, 'TOO_LARGE')
+        };
+      }
+
+      this.incoming = { syncId, type, length, received: 0, parts: [] };
+      return this.completeDocument();
+    }
+
+    if (kind === MSG_DATA) {
+      const { incoming } = this;
+      if (!incoming || incoming.syncId !== syncId) {
+        throw new FormatError('Document data without a start message', 'UNEXPECTED_MESSAGE');
+      }
+      if (incoming.received + body.length > incoming.length) {
+        throw new FormatError('Document data is longer than announced', 'INVALID_OPERATION');
+      }
+
+      incoming.received += body.length;
+      if (!incoming.parts) {
+        if (incoming.received === incoming.length) this.incoming = null;
+        return null;
+      }
+
+      incoming.parts.push(body.slice());
+      if (this.current?.syncId === syncId || this.current?.syncId === null) {
+        this.current.onProgress?.({
+          phase: 'receive',
+          bytesReceived: incoming.received,
+          totalBytes: incoming.length,
+          percent: (incoming.received / incoming.length) * 100
+        });
+      }
+      return this.completeDocument();
+    }
+
+    if (kind === MSG_DONE) return { kind: 'done', syncId, result: decodeJson(body) };
+    if (kind === MSG_ERROR) return { kind: 'error', syncId, error: toError(decodeJson(body)) };
+    if (kind === MSG_CANCEL) return { kind: 'cancel', syncId };
+
+    throw new FormatError(`Unknown sync message ${kind}`, 'UNKNOWN_OPERATION');
+  }
+
+  completeDocument() {
+    const { incoming } = this;
+    if (incoming.received < incoming.length) return null;
+
+    this.incoming = null;
+    const document = new Uint8Array(incoming.length);
+    let offset = 0;
+    for (const part of incoming.parts) {
+      document.set(part, offset);
+      offset += part.length;
+    }
+    return { kind: 'document', syncId: incoming.syncId, type: incoming.type, document: document.buffer };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * bit-sync-esm pool worker
+ * Entry point for the workers started by createSyncPool. Runs one call at a
+ * time and posts progress, the result or the error back to the pool.
+ *
+ * @license MIT
+ */
+
+import { createChecksumDocument, createPatchDocument, applyPatch } from './index.js';
+import { serializeError } from './errors.js';
+
+const methods = { createChecksumDocument, createPatchDocument, applyPatch };
+
+/**
+ * Result buffers are transferred back rather than copied
+ */
+const transferablesOf = (result) => {
+  if (result instanceof ArrayBuffer) return [result];
+  if (result?.data instanceof ArrayBuffer) return [result.data];
+  return [];
+};
+
+const handle = (port, { id, method, args, progress }) => {
+  const reply = (message, transfer = []) => port.postMessage({ id, ...message }, transfer);
+
+  try {
+    if (!Object.hasOwn(methods, method)) {
+      throw new Error(`Unknown method: ${method}`);
+    }
+
+    const [first, second, options = {}] = args;
+    const result = methods[method](first, second, {
+      ...options,
+      onProgress: progress ? (info) => reply({ progress: info }) : undefined
+    });
+
+    reply({ result }, transferablesOf(result));
+  } catch (error) {
+    reply({ error: serializeError(error) });
+  }
+};
+
+if (typeof self === 'undefined') {
+  const { parentPort } = await import('node:worker_threads');
+  parentPort.on('message', (message) => handle(parentPort, message));
+} else {
+  self.addEventListener('message', (event) => handle(self, event.data));
+}
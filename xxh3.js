@@ -0,0 +1,290 @@
+/**
+ * bit-sync-esm XXH3-128
+ * The 128-bit XXH3 hash from xxHash 0.8 with the default secret and seed 0.
+ * It is fast but not cryptographic, so it only suits checksum documents
+ * exchanged over trusted links.
+ *
+ * @license MIT
+ */
+
+const SECRET = new Uint8Array([
+  0xb8, 0xfe, 0x6c, 0x39, 0x23, 0xa4, 0x4b, 0xbe, 0x7c, 0x01, 0x81, 0x2c, 0xf7, 0x21, 0xad, 0x1c,
+  0xde, 0xd4, 0x6d, 0xe9, 0x83, 0x90, 0x97, 0xdb, 0x72, 0x40, 0xa4, 0xa4, 0xb7, 0xb3, 0x67, 0x1f,
+  0xcb, 0x79, 0xe6, 0x4e, 0xcc, 0xc0, 0xe5, 0x78, 0x82, 0x5a, 0xd0, 0x7d, 0xcc, 0xff, 0x72, 0x21,
+  0xb8, 0x08, 0x46, 0x74, 0xf7, 0x43, 0x24, 0x8e, 0xe0, 0x35, 0x90, 0xe6, 0x81, 0x3a, 0x26, 0x4c,
+  0x3c, 0x28, 0x52, 0xbb, 0x91, 0xc3, 0x00, 0xcb, 0x88, 0xd0, 0x65, 0x8b, 0x1b, 0x53, 0x2e, 0xa3,
+  0x71, 0x64, 0x48, 0x97, 0xa2, 0x0d, 0xf9, 0x4e, 0x38, 0x19, 0xef, 0x46, 0xa9, 0xde, 0xac, 0xd8,
+  0xa8, 0xfa, 0x76, 0x3f, 0xe3, 0x9c, 0x34, 0x3f, 0xf9, 0xdc, 0xbb, 0xc7, 0xc7, 0x0b, 0x4f, 0x1d,
+  0x8a, 0x51, 0xe0, 0x4b, 0xcd, 0xb4, 0x59, 0x31, 0xc8, 0x9f, 0x7e, 0xc9, 0xd9, 0x78, 0x73, 0x64,
+  0xea, 0xc5, 0xac, 0x83, 0x34, 0xd3, 0xeb, 0xc3, 0xc5, 0x81, 0xa0, 0xff, 0xfa, 0x13, 0x63, 0xeb,
+  0x17, 0x0d, 0xdd, 0x51, 0xb7, 0xf0, 0xda, 0x49, 0xd3, 0x16, 0x55, 0x26, 0x29, 0xd4, 0x68, 0x9e,
+  0x2b, 0x16, 0xbe, 0x58, 0x7d, 0x47, 0xa1, 0xfc, 0x8f, 0xf8, 0xb8, 0xd1, 0x7a, 0xd0, 0x31, 0xce,
+  0x45, 0xcb, 0x3a, 0x8f, 0x95, 0x16, 0x04, 0x28, 0xaf, 0xd7, 0xfb, 0xca, 0xbb, 0x4b, 0x40, 0x7e
+]);
+const SECRET_VIEW = new DataView(SECRET.buffer);
+
+const STRIPE_LENGTH = 64;
+const STRIPES_PER_BLOCK = (SECRET.length - STRIPE_LENGTH) / 8;
+const BLOCK_LENGTH = STRIPE_LENGTH * STRIPES_PER_BLOCK;
+const SCRAMBLE_OFFSET = SECRET.length - STRIPE_LENGTH;
+const LAST_STRIPE_OFFSET = SECRET.length - STRIPE_LENGTH - 7;
+
+const MASK64 = 0xFFFFFFFFFFFFFFFFn;
+const PRIME32_1 = 0x9E3779B1;
+const PRIME32_2 = 0x85EBCA77;
+const PRIME32_3 = 0xC2B2AE3D;
+const PRIME64_1 = 0x9E3779B185EBCA87n;
+const PRIME64_2 = 0xC2B2AE3D27D4EB4Fn;
+const PRIME64_3 = 0x165667B19E3779F9n;
+const PRIME64_4 = 0x85EBCA77C2B2AE63n;
+const PRIME64_5 = 0x27D4EB2F165667C5n;
+
+const read64 = (view, offset) => view.getBigUint64(offset, true);
+
+const xxh64Avalanche = (value) => {
+  value ^= value >> 33n;
+  value = (value * PRIME64_2) & MASK64;
+  value ^= value >> 29n;
+  value = (value * PRIME64_3) & MASK64;
+  return value ^ (value >> 32n);
+};
+
+const avalanche = (value) => {
+  value ^= value >> 37n;
+  value = (value * 0x165667919E3779F9n) & MASK64;
+  return value ^ (value >> 32n);
+};
+
+const mul128Fold64 = (left, right) => {
+  const product = left * right;
+  return (product & MASK64) ^ (product >> 64n);
+};
+
+const mix16 = (view, offset, secretOffset) => mul128Fold64(
+  read64(view, offset) ^ read64(SECRET_VIEW, secretOffset),
+  read64(view, offset + 8) ^ read64(SECRET_VIEW, secretOffset + 8)
+);
+
+/**
+ * One round of the 17-240 byte paths, mixing two 16-byte lanes into lo and hi
+ */
+const mix32 = (state, view, first, second, secretOffset) => {
+  state.lo = (state.lo + mix16(view, first, secretOffset)) & MASK64;
+  state.lo ^= (read64(view, second) + read64(view, second + 8)) & MASK64;
+  state.hi = (state.hi + mix16(view, second, secretOffset + 16)) & MASK64;
+  state.hi ^= (read64(view, first) + read64(view, first + 8)) & MASK64;
+};
+
+const finishMid = ({ lo, hi }, length) => [
+  avalanche((lo + hi) & MASK64),
+  (-avalanche((lo * PRIME64_1 + hi * PRIME64_4 + BigInt(length) * PRIME64_2) & MASK64)) & MASK64
+];
+
+const swap64 = (value) => {
+  let swapped = 0n;
+  for (let i = 0; i < 8; i++) {
+    swapped = (swapped << 8n) | (value & 0xFFn);
+    value >>= 8n;
+  }
+  return swapped;
+};
+
+const hash0To16 = (bytes, view) => {
+  const length = bytes.length;
+
+  if (length > 8) {
+    const flipLo = read64(SECRET_VIEW, 32) ^ read64(SECRET_VIEW, 40);
+    const flipHi = read64(SECRET_VIEW, 48) ^ read64(SECRET_VIEW, 56);
+    let inputHi = read64(view, length - 8);
+    const product = (read64(view, 0) ^ inputHi ^ flipLo) * PRIME64_1;
+    let mulLow = ((product & MASK64) + (BigInt(length - 1) << 54n)) & MASK64;
+    inputHi ^= flipHi;
+    const mulHigh = ((product >> 64n) + inputHi + (inputHi & 0xFFFFFFFFn) * BigInt(PRIME32_2 - 1)) & MASK64;
+    mulLow ^= swap64(mulHigh);
+    const result = mulLow * PRIME64_2;
+    return [
+      avalanche(result & MASK64),
+      avalanche(((result >> 64n) + mulHigh * PRIME64_2) & MASK64)
+    ];
+  }
+
+  if (length >= 4) {
+    const input = BigInt(view.getUint32(0, true)) + (BigInt(view.getUint32(length - 4, true)) << 32n);
+    const keyed = input ^ read64(SECRET_VIEW, 16) ^ read64(SECRET_VIEW, 24);
+    const product = keyed * (PRIME64_1 + (BigInt(length) << 2n));
+    let lo = product & MASK64;
+    const hi = ((product >> 64n) + (lo << 1n)) & MASK64;
+    lo ^= hi >> 3n;
+    lo ^= lo >> 35n;
+    lo = (lo * 0x9FB21C651E98DF25n) & MASK64;
+    lo ^= lo >> 28n;
+    return [lo, avalanche(hi)];
+  }
+
+  if (length > 0) {
+    const combinedLo = ((bytes[0] << 16) | (bytes[length >> 1] << 24) | bytes[length - 1] | (length << 8)) >>> 0;
+    const swapped = ((combinedLo & 0xFF) << 24 | (combinedLo & 0xFF00) << 8 |
+      (combinedLo >>> 8) & 0xFF00 | combinedLo >>> 24) >>> 0;
+    const combinedHi = ((swapped << 13) | (swapped >>> 19)) >>> 0;
+    return [
+      xxh64Avalanche(BigInt((combinedLo ^ SECRET_VIEW.getUint32(0, true) ^ SECRET_VIEW.getUint32(4, true)) >>> 0)),
+      xxh64Avalanche(BigInt((combinedHi ^ SECRET_VIEW.getUint32(8, true) ^ SECRET_VIEW.getUint32(12, true)) >>> 0))
+    ];
+  }
+
+  return [
+    xxh64Avalanche(read64(SECRET_VIEW, 64) ^ read64(SECRET_VIEW, 72)),
+    xxh64Avalanche(read64(SECRET_VIEW, 80) ^ read64(SECRET_VIEW, 88))
+  ];
+};
+
+const hash17To128 = (bytes, view) => {
+  const length = bytes.length;
+  const state = { lo: (BigInt(length) * PRIME64_1) & MASK64, hi: 0n };
+
+  if (length > 32) {
+    if (length > 64) {
+      if (length > 96) mix32(state, view, 48, length - 64, 96);
+      mix32(state, view, 32, length - 48, 64);
+    }
+    mix32(state, view, 16, length - 32, 32);
+  }
+  mix32(state, view, 0, length - 16, 0);
+
+  return finishMid(state, length);
+};
+
+const hash129To240 = (bytes, view) => {
+  const length = bytes.length;
+  const rounds = Math.floor(length / 32);
+  const state = { lo: (BigInt(length) * PRIME64_1) & MASK64, hi: 0n };
+
+  for (let i = 0; i < 4; i++) {
+    mix32(state, view, 32 * i, 32 * i + 16, 32 * i);
+  }
+  state.lo = avalanche(state.lo);
+  state.hi = avalanche(state.hi);
+
+  for (let i = 4; i < rounds; i++) {
+    mix32(state, view, 32 * i, 32 * i + 16, 3 + 32 * (i - 4));
+  }
+  mix32(state, view, length - 16, length - 32, 103);
+
+  return finishMid(state, length);
+};
+
+/**
+ * Full 32x32 bit multiply, returning the low and high words. The 16-bit
+ * halves keep every partial product exact in a double.
+ */
+const mul32 = (left, right) => {
+  const leftLo = left & 0xFFFF;
+  const leftHi = left >>> 16;
+  const rightLo = right & 0xFFFF;
+  const rightHi = right >>> 16;
+  const low = leftLo * rightLo;
+  const cross = (low >>> 16) + (leftLo * rightHi & 0xFFFF) + leftHi * rightLo;
+  return [
+    ((cross << 16) | (low & 0xFFFF)) >>> 0,
+    (leftHi * rightHi + (leftLo * rightHi >>> 16) + Math.floor(cross / 0x10000)) >>> 0
+  ];
+};
+
+/**
+ * Add a 64-bit value, given as two words, to lane i of the accumulators
+ */
+const addLane = (acc, i, lo, hi) => {
+  const sum = acc[2 * i] + lo;
+  acc[2 * i] = sum;
+  acc[2 * i + 1] = acc[2 * i + 1] + hi + (sum > 0xFFFFFFFF ? 1 : 0);
+};
+
+/**
+ * The long-input loop keeps its eight 64-bit accumulators as 32-bit words,
+ * which is far faster than BigInt arithmetic per stripe
+ */
+const accumulateStripe = (acc, view, offset, secretOffset) => {
+  for (let i = 0; i < 8; i++) {
+    const dataLo = view.getUint32(offset + 8 * i, true);
+    const dataHi = view.getUint32(offset + 8 * i + 4, true);
+    const keyLo = (dataLo ^ SECRET_VIEW.getUint32(secretOffset + 8 * i, true)) >>> 0;
+    const keyHi = (dataHi ^ SECRET_VIEW.getUint32(secretOffset + 8 * i + 4, true)) >>> 0;
+
+    addLane(acc, i ^ 1, dataLo, dataHi);
+    const [productLo, productHi] = mul32(keyLo, keyHi);
+    addLane(acc, i, productLo, productHi);
+  }
+};
+
+const scramble = (acc) => {
+  for (let i = 0; i < 8; i++) {
+    const hi = acc[2 * i + 1] ^ SECRET_VIEW.getUint32(SCRAMBLE_OFFSET + 8 * i + 4, true);
+    const lo = (acc[2 * i] ^ (acc[2 * i + 1] >>> 15) ^ SECRET_VIEW.getUint32(SCRAMBLE_OFFSET + 8 * i, true)) >>> 0;
+    const [productLo, productHi] = mul32(lo, PRIME32_1);
+    acc[2 * i] = productLo;
+    acc[2 * i + 1] = Math.imul(hi, PRIME32_1) + productHi;
+  }
+};
+
+const mergeAccumulators = (acc, secretOffset, start) => {
+  let result = start;
+  for (let i = 0; i < 4; i++) {
+    const left = (BigInt(acc[4 * i + 1]) << 32n) | BigInt(acc[4 * i]);
+    const right = (BigInt(acc[4 * i + 3]) << 32n) | BigInt(acc[4 * i + 2]);
+    result = (result + mul128Fold64(
+      left ^ read64(SECRET_VIEW, secretOffset + 16 * i),
+      right ^ read64(SECRET_VIEW, secretOffset + 16 * i + 8)
+    )) & MASK64;
+  }
+  return avalanche(result);
+};
+
+const hashLong = (bytes, view) => {
+  const length = bytes.length;
+  const acc = new Uint32Array(16);
+  const initial = [BigInt(PRIME32_3), PRIME64_1, PRIME64_2, PRIME64_3, PRIME64_4, BigInt(PRIME32_2), PRIME64_5, BigInt(PRIME32_1)];
+  initial.forEach((value, i) => {
+    acc[2 * i] = Number(value & 0xFFFFFFFFn);
+    acc[2 * i + 1] = Number(value >> 32n);
+  });
+
+  const blocks = Math.floor((length - 1) / BLOCK_LENGTH);
+  for (let block = 0; block < blocks; block++) {
+    for (let stripe = 0; stripe < STRIPES_PER_BLOCK; stripe++) {
+      accumulateStripe(acc, view, block * BLOCK_LENGTH + stripe * STRIPE_LENGTH, stripe * 8);
+    }
+    scramble(acc);
+  }
+
+  const stripes = Math.floor((length - 1 - blocks * BLOCK_LENGTH) / STRIPE_LENGTH);
+  for (let stripe = 0; stripe < stripes; stripe++) {
+    accumulateStripe(acc, view, blocks * BLOCK_LENGTH + stripe * STRIPE_LENGTH, stripe * 8);
+  }
+  accumulateStripe(acc, view, length - STRIPE_LENGTH, LAST_STRIPE_OFFSET);
+
+  return [
+    mergeAccumulators(acc, 11, (BigInt(length) * PRIME64_1) & MASK64),
+    mergeAccumulators(acc, SECRET.length - 64 - 11, ~(BigInt(length) * PRIME64_2) & MASK64)
+  ];
+};
+
+/**
+ * Hash bytes with XXH3-128
+ *
+ * @param {Uint8Array} bytes - Data to hash
+ * @returns {Uint8Array} 16-byte hash in canonical (big-endian) form
+ */
+export const xxh128 = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const length = bytes.length;
+  const [lo, hi] = length <= 16 ? hash0To16(bytes, view)
+    : length <= 128 ? hash17To128(bytes, view)
+      : length <= 240 ? hash129To240(bytes, view)
+        : hashLong(bytes, view);
+
+  const out = new Uint8Array(16);
+  const outView = new DataView(out.buffer);
+  outView.setBigUint64(0, hi);
+  outView.setBigUint64(8, lo);
+  return out;
+};